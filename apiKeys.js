@@ -0,0 +1,66 @@
+// Copyright (c) 2018, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const ApiKeyStore = require('./lib/apiKeyStore.js')
+const Config = require('./lib/config.js')
+const RateLimiter = require('./lib/rateLimiter.js')
+const util = require('util')
+
+const usage = [
+  'Usage: node apiKeys.js <command> [--config=file] [options]',
+  '',
+  '  list                  Lists the API keys in the database',
+  '  add <tier> [label]    Creates a new API key in tier',
+  '  remove <key>          Removes an API key'
+].join('\n')
+
+// Everything that is not a flag belongs to us, the flags are the usual configuration
+var args = process.argv.slice(2).filter((arg) => !arg.startsWith('--'))
+var flags = process.argv.slice(2).filter((arg) => arg.startsWith('--'))
+var options = Config.fromProcess(flags)
+
+// Shares the database settings with service.js so that the keys we manage are the ones it checks
+var store = new ApiKeyStore(Object.assign(Config.blockCacheOptions(options), options.apiKeyStore))
+
+function fail (message) {
+  console.error(message)
+  process.exit(1)
+}
+
+var command
+switch (args[0]) {
+  case 'list':
+    command = store.list().then((keys) => {
+      if (keys.length === 0) return console.log('There are no API keys in the database')
+      keys.forEach((entry) => {
+        console.log(util.format('%s  %s  %s  %s', entry.key, entry.tier, (new Date(entry.created)).toUTCString(), entry.label || ''))
+      })
+    })
+    break
+  case 'add':
+    if (!args[1]) fail(usage)
+    var tiers = Object.keys(Object.assign({}, RateLimiter.defaultTiers, (options.rateLimits || {}).tiers))
+    if (tiers.indexOf(args[1]) === -1) fail(util.format('Unknown tier %s, expected one of %s', args[1], tiers.join(', ')))
+    command = store.add(args[1], args.slice(2).join(' ')).then((entry) => {
+      console.log(entry.key)
+    })
+    break
+  case 'remove':
+    if (!args[1]) fail(usage)
+    command = store.remove(args[1]).then((removed) => {
+      if (!removed) fail(util.format('There is no API key %s', args[1]))
+      console.log(util.format('Removed %s', args[1]))
+    })
+    break
+  default:
+    fail(usage)
+}
+
+command.then(() => {
+  return store.close()
+}).catch((err) => {
+  fail(util.format('Could not update the API keys: %s', err.message || err))
+})
@@ -5,20 +5,17 @@
 'use strict'
 
 const BlockChainCache = require('turtlecoin-blockexplorer-cache')
+const Config = require('./lib/config.js')
 const util = require('util')
 
 function log (message) {
   console.log(util.format('%s: %s', (new Date()).toUTCString(), message))
 }
 
-var blockCache = new BlockChainCache({
-  rpcHost: 'public.turtlenode.io',
-  rpcPort: 11898,
-  dbEngine: 'sqlite',
-  dbFolder: 'db',
-  dbFile: 'turtlecoin',
+// Shares its configuration with service.js so that both always use the same database
+var blockCache = new BlockChainCache(Object.assign(Config.blockCacheOptions(Config.fromProcess()), {
   autoStartUpdater: true
-})
+}))
 
 blockCache.on('error', (err) => {
   log(util.format('[CACHE] %s', err))
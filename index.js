@@ -12,9 +12,36 @@ const EventEmitter = require('events').EventEmitter
 const util = require('util')
 const Request = require('request-promise')
 const bodyparser = require('body-parser')
-const NodeCache = require('node-cache')
 const TurtleCoind = require('turtlecoin-rpc').TurtleCoind
 const BlockChainCache = require('turtlecoin-blockexplorer-cache')
+const BlockPager = require('./lib/blockPager.js')
+const ApiKeyStore = require('./lib/apiKeyStore.js')
+const RpcError = require('./lib/rpcError.js')
+const RpcPolicy = require('./lib/rpcPolicy.js')
+const NodePool = require('./lib/nodePool.js')
+const CachePolicy = require('./lib/cachePolicy.js')
+const Config = require('./lib/config.js')
+const Consensus = require('./lib/consensus.js')
+const Feed = require('./lib/feed.js')
+const FeedSocket = require('./lib/feedSocket.js')
+const FeedStream = require('./lib/feedStream.js')
+const ForkDetector = require('./lib/forkDetector.js')
+const PoolAdapters = require('./lib/poolAdapters.js')
+const PoolList = require('./lib/poolList.js')
+const PoolMonitor = require('./lib/poolMonitor.js')
+const RateLimiter = require('./lib/rateLimiter.js')
+const MemoryCache = require('./lib/memoryCache.js')
+const Mempool = require('./lib/mempool.js')
+const Metrics = require('./lib/metrics.js')
+const RedisCache = require('./lib/redisCache.js')
+const TargetPolicy = require('./lib/targetPolicy.js')
+const TxTracker = require('./lib/txTracker.js')
+const WalletSync = require('./lib/walletSync.js')
+const net = require('net')
+const URL = require('url').URL
+const os = require('os')
+const path = require('path')
+const crypto = require('crypto')
 const targetBlockTime = 30
 const backupSeeds = [
   { host: 'us-east.turtlenode.io', port: 11898 },
@@ -24,19 +51,66 @@ const backupSeeds = [
   { host: 'public.turtlenode.io', port: 11898 },
   { host: 'daemon.turtle.link', port: 11898 }
 ]
-const poolList = 'https://raw.githubusercontent.com/turtlecoin/turtlecoin-pools-json/master/turtlecoin-pools.json'
+
+// The options that reload() applies, changes to any other option require a restart
+const reloadable = ['seeds', 'pools', 'poolList', 'ttls', 'confirmedDepth', 'targetPolicy', 'rpcPolicy', 'apiKeys', 'adminKeys', 'rateLimits']
+
+// Health checks and scrapes are never rate limited
+const unlimitedPaths = ['/health/live', '/health/ready', '/metrics']
+
+// Where _fetch leaves HIT, MISS or STALE on what it resolves, for the X-Cache header, without it ending up in the JSON
+const cacheState = Symbol('cacheState')
+
+// The answers that have always told the caller whether they came from the cache in a cached field, and an expired one in a stale field
+const cacheFlaggedMethods = ['getinfo', 'feeinfo', 'getheight', 'gettransactions', 'getpeers', 'globalheight', 'globaldifficulty', 'globalpoolheight', 'globalpooldifficulty', 'networkInfo']
 
 function Self (opts) {
   opts = opts || {}
   if (!(this instanceof Self)) return new Self(opts)
+  this.options = opts
+  this.loadConfig = opts.loadConfig || false
+  this.reloadedAt = Date.now()
   this.cacheTimeout = opts.cacheTimeout || 30
+  this.staleTimeout = (opts.staleTimeout !== undefined) ? opts.staleTimeout : this.cacheTimeout
   this.timeout = opts.timeout || 5000
   this.bindIp = opts.bindIp || '0.0.0.0'
-  this.bindPort = opts.bindPort || 80
+  this.bindPort = (opts.bindPort !== undefined) ? opts.bindPort : 80
+  this.stopTimeout = opts.stopTimeout || 10000
   this.defaultHost = opts.defaultHost || 'public.turtlenode.io'
   this.defaultPort = opts.defaultPort || 11898
   this.seeds = opts.seeds || backupSeeds
-  this.pools = opts.pools || []
+
+  // Understands the stats APIs of the different pool software, pools may name theirs with { type }
+  this.poolAdapters = new PoolAdapters({ adapters: opts.poolAdapters })
+
+  // Tracks the response time, uptime and progress of every pool we check
+  this.poolMonitor = new PoolMonitor(opts.poolMonitor)
+
+  // How we decide what the network agrees on, nodes and pools may carry a trust weight
+  this.heightConsensus = new Consensus(Object.assign({ tolerance: 2 }, opts.heightConsensus))
+  this.difficultyConsensus = new Consensus(Object.assign({ relativeTolerance: 0.1 }, opts.difficultyConsensus))
+
+  // Watches the seeds for chain splits
+  this.forkDetector = new ForkDetector(Object.assign({ timeout: this.timeout }, opts.forkDetector))
+  this.forkDetector.on('fork', (result) => {
+    this.emit('fork', result)
+  })
+
+  // Calls that do not target a specific node are spread across the default node and seeds
+  this.nodePool = new NodePool(Object.assign({ timeout: this.timeout }, opts.nodePool, {
+    nodes: [{ host: this.defaultHost, port: this.defaultPort }].concat(this.seeds)
+  }))
+  this.nodePool.on('info', (info) => {
+    this.emit('info', util.format('[NODES] %s', info))
+  })
+
+  // Restricts which hosts and ports callers may reach via the /:node and /:node/:port routes
+  this.targetPolicy = new TargetPolicy(opts.targetPolicy)
+
+  // Controls which JSON-RPC methods are proxied and for whom
+  this.rpcPolicy = new RpcPolicy(opts.rpcPolicy)
+  this.apiKeys = opts.apiKeys || []
+  this.adminKeys = opts.adminKeys || []
 
   // Blockchain cache database options
   this.autoStartUpdater = (opts.autoStartUpdater !== undefined) ? opts.autoStartUpdater : false
@@ -47,25 +121,151 @@ function Self (opts) {
   this.dbFolder = opts.dbFolder || 'db'
   this.dbFile = opts.dbFile || 'turtlecoin'
   this.dbHost = opts.dbHost || '127.0.0.1'
+  this.dbPort = opts.dbPort || 3306
   this.dbUser = opts.dbUser || 'turtlecoin'
   this.dbPassword = opts.dbPassword || 'turtlecoin'
   this.dbDatabase = opts.dbDatabase || 'turtlecoin'
-
-  this.cache = new NodeCache({ stdTTL: this.cacheTimeout, checkPeriod: (Math.round(this.cacheTimeout / 2)) })
+  this.dbConnectionLimit = opts.dbConnectionLimit || 10
+
+  // How /blocks pages through the chain
+  this.blockPager = new BlockPager(opts.blockList)
+
+  // How much wallets may sync in one request and how the syncing is batched
+  this.walletSync = new WalletSync(opts.walletSync)
+
+  // How transactions are checked and relayed and how long we follow them for
+  this.txTracker = new TxTracker(opts.transactions)
+
+  // How the mempools of the node pool are summed up and fees recommended
+  this.mempool = new Mempool(opts.mempool)
+
+  // Mining gateway mode, templates come from a synced node on the main chain and found blocks go to every healthy node
+  var mining = opts.mining || {}
+  this.miningConsensus = new Consensus(Object.assign({ tolerance: 2 }, opts.heightConsensus))
+  this.miningEnabled = (mining.enabled !== undefined) ? mining.enabled : false
+  this.tipInterval = mining.tipInterval || 1000
+  this.maxTemplateAge = mining.maxTemplateAge || 30000
+  this.templates = new Map()
+  this.miningTip = null
+
+  // Who may call us how often, keys are looked up in the blockchain cache database when they are not in apiKeys
+  this.rateLimiter = new RateLimiter(opts.rateLimits)
+  this.apiKeyStore = new ApiKeyStore(Object.assign(Config.blockCacheOptions(this), opts.apiKeyStore))
+
+  // Where the pools come from, the last good list is kept next to the blockchain cache database
+  this.poolList = this._createPoolList(opts)
+  this.pools = this.poolList.pools
+
+  // Response cache options, use redis to share one cache between the workers of a cluster
+  this.cacheEngine = opts.cacheEngine || 'memory'
+  this.cacheHost = opts.cacheHost || '127.0.0.1'
+  this.cachePort = opts.cachePort || 6379
+  this.cachePassword = opts.cachePassword || false
+  this.cacheDb = opts.cacheDb || 0
+  this.cachePrefix = (opts.cachePrefix !== undefined) ? opts.cachePrefix : 'turtlecoin-api-proxy:'
+  this.cacheForeverTimeout = opts.cacheForeverTimeout || 86400
+  this.instanceId = util.format('%s:%s:%s', os.hostname(), process.pid, crypto.randomBytes(4).toString('hex'))
+
+  // How long each method and route is cached for, also used to build the Cache-Control header
+  this.cachePolicy = new CachePolicy({
+    cacheTimeout: this.cacheTimeout,
+    confirmedDepth: opts.confirmedDepth,
+    ttls: opts.ttls
+  })
+
+  // The live feed of new blocks, mempool, network and pool changes that clients subscribe to over WebSockets or Server-Sent Events
+  var feed = opts.feed || {}
+  this.feedEnabled = (feed.enabled !== undefined) ? feed.enabled : true
+  this.feedInterval = feed.interval || 5000
+  this.feed = new Feed({ historySize: feed.historySize })
+  this.feedSocket = new FeedSocket({
+    feed: this.feed,
+    path: feed.path,
+    heartbeat: feed.heartbeat,
+    maxClients: feed.maxClients,
+    maxClientsPerAddress: feed.maxClientsPerAddress,
+    admit: (request) => this._admitUpgrade(request)
+  })
+  this.feedStream = new FeedStream({
+    feed: this.feed,
+    heartbeat: feed.heartbeat,
+    maxClients: feed.maxClients,
+    maxClientsPerAddress: feed.maxClientsPerAddress
+  })
+  this.feedState = {}
+  this.feed.on('active', () => {
+    if (this.server) this._updateFeed()
+  })
+
+  this._setupCache(opts.cacheAdapter)
+  this.inflight = {}
   this._setupBlockChainCache()
+  this._setupMetrics(opts.metrics)
 
   this.app = express()
+  // Behind a reverse proxy this is what tells us who the anonymous callers really are
+  if (opts.trustProxy !== undefined) this.app.set('trust proxy', opts.trustProxy)
+  this.app.use((request, response, next) => {
+    if (!this.metrics) return next()
+    var start = process.hrtime()
+    response.on('finish', () => {
+      var labels = {
+        method: request.method,
+        route: (request.route) ? request.route.path : 'unmatched'
+      }
+      this.metrics.inc('http_requests_total', Object.assign({}, labels, { status: response.statusCode }))
+      this.metrics.observe('http_request_duration_seconds', labels, elapsedSeconds(start))
+    })
+    next()
+  })
   this.app.use(bodyparser.json())
+  this.app.use((err, request, response, next) => {
+    // Malformed JSON sent to a JSON-RPC endpoint still deserves a JSON-RPC answer
+    if (err.type !== 'entity.parse.failed' || !request.path.endsWith('/json_rpc')) return next(err)
+    return response.json({
+      jsonrpc: '2.0',
+      error: new RpcError(RpcError.PARSE_ERROR, 'Parse error'),
+      id: null
+    })
+  })
   this.app.use((req, res, next) => {
     res.header('X-Requested-With', '*')
     res.header('Access-Control-Allow-Origin', '*')
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept')
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, X-API-Key')
     res.header('Access-Control-Allow-Methods', 'POST, GET, OPTIONS')
-    res.header('Cache-Control', 'max-age=30, public')
+    res.header('Access-Control-Expose-Headers', 'RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After, X-Cache')
+    res.header('Cache-Control', this.cachePolicy.cacheControl(this.cacheTimeout))
+    // Once a handler answers we know which route matched and what we are sending back
+    var json = res.json
+    res.json = (body) => {
+      res.header('Cache-Control', (res.statusCode >= 400) ? 'no-store' : this._cacheControl(req, body))
+      var state = (body && body.result !== undefined) ? cacheStateOf(body.result) : cacheStateOf(body)
+      if (state) res.header('X-Cache', state)
+      return json.call(res, body)
+    }
     next()
   })
   this.app.use(helmet())
   this.app.use(compression())
+  this.app.use((request, response, next) => {
+    this._rateLimit(request, response, next)
+  })
+
+  this.app.param('node', (request, response, next, node) => {
+    this._checkTarget(node, request.params.port).then((result) => {
+      if (result.allowed) return next()
+      return response.status(403).json({
+        error: {
+          code: 403,
+          message: result.reason,
+          data: {
+            host: result.host,
+            port: result.port
+          }
+        }
+      })
+    })
+  })
 
   this.app.get('/', (request, response) => {
     return response.status(404).send()
@@ -107,14 +307,122 @@ function Self (opts) {
     })
   })
 
+  this.app.get('/network/forks', (request, response) => {
+    this._getForks().then((data) => {
+      return response.json(data)
+    }).catch((err) => {
+      this.emit('error', err)
+      return response.status(500).send()
+    })
+  })
+
+  this.app.get('/metrics', (request, response) => {
+    if (!this.metrics) return response.status(404).send()
+    this.metrics.render().then((text) => {
+      response.header('Cache-Control', 'no-store')
+      return response.type('text/plain; version=0.0.4').send(text)
+    }).catch((err) => {
+      this.emit('error', err)
+      return response.status(500).send()
+    })
+  })
+
+  this.app.post('/admin/reload', (request, response) => {
+    if (!this._isAdmin(request)) {
+      return response.status(403).json({
+        error: {
+          code: 403,
+          message: 'A valid admin key is required'
+        }
+      })
+    }
+    this.reload().then((diff) => {
+      this._announceReload()
+      return response.json(diff)
+    }).catch((err) => {
+      this.emit('error', util.format('[RELOAD] %s', err.message || err))
+      return response.status(400).json({
+        error: {
+          code: 400,
+          message: err.message || err.toString()
+        }
+      })
+    })
+  })
+
+  this.app.get('/stream/network', (request, response) => {
+    if (!this.feedEnabled) return response.status(404).send()
+    this.feedStream.serve(['network'], request, response)
+  })
+
+  this.app.get('/stream/blocks', (request, response) => {
+    if (!this.feedEnabled) return response.status(404).send()
+    this.feedStream.serve(['blocks'], request, response)
+  })
+
   this.app.get('/pools', (request, response) => {
     return response.json(this.pools)
   })
 
+  this.app.get('/pools/status', (request, response) => {
+    this._getPoolStatus().then((data) => {
+      return response.json(data)
+    }).catch((err) => {
+      this.emit('error', err)
+      return response.status(500).send()
+    })
+  })
+
+  this.app.get('/pools/:name', (request, response) => {
+    this._getPoolStatus().then((data) => {
+      if (!data.pools) return response.json(data)
+      var name = request.params.name.toLowerCase()
+      var pool = data.pools.filter((pool) => pool.name.toLowerCase() === name)[0]
+      if (!pool) return response.status(404).send()
+      return response.json(Object.assign({
+        networkHeight: data.networkHeight,
+        globalHashRate: data.globalHashRate
+      }, pool))
+    }).catch((err) => {
+      this.emit('error', err)
+      return response.status(500).send()
+    })
+  })
+
   this.app.get('/trustedNodes', (request, response) => {
     return response.json(this.seeds)
   })
 
+  // Health checks are never cached, a load balancer must always see our current state
+
+  this.app.get('/health/live', (request, response) => {
+    response.header('Cache-Control', 'no-store')
+    return response.type('json').send(JSON.stringify({
+      status: 'ok',
+      uptime: Math.round(process.uptime())
+    }))
+  })
+
+  this.app.get('/health/ready', (request, response) => {
+    this._getReadiness().then((readiness) => {
+      response.header('Cache-Control', 'no-store')
+      return response.status((readiness.ready) ? 200 : 503).type('json').send(JSON.stringify({
+        status: (readiness.ready) ? 'ok' : 'fail',
+        checks: readiness.checks
+      }))
+    }).catch((err) => {
+      this.emit('error', err)
+      return response.status(500).send()
+    })
+  })
+
+  this.app.get('/nodes/health', (request, response) => {
+    return response.json({
+      networkHeight: this.nodePool.networkHeight,
+      nodes: this.nodePool.status()
+    })
+  })
+
   this.app.get('/:node/info', (request, response) => {
     if (!request.params.node) return response.status(400).send()
     this._getInfo(request.params.node).then((data) => {
@@ -392,36 +700,79 @@ function Self (opts) {
   })
 
   this.app.post('/:node/json_rpc', (request, response) => {
-    this._processJsonRPC(request.body, request.params.node).then((data) => {
-      return response.json({
-        jsonrpc: '2.0',
-        result: data
+    this._handleJsonRPC(request.body, request.params.node, undefined, this._getRpcContext(request)).then((payload) => {
+      if (payload === undefined) return response.status(204).send()
+      return response.json(payload)
+    })
+  })
+
+  this.app.post('/:node/:port/json_rpc', (request, response) => {
+    if (!request.params.node || !request.params.port) return response.status(400).send()
+    this._handleJsonRPC(request.body, request.params.node, request.params.port, this._getRpcContext(request)).then((payload) => {
+      if (payload === undefined) return response.status(204).send()
+      return response.json(payload)
+    })
+  })
+
+  this.app.post('/json_rpc', (request, response) => {
+    this._handleJsonRPC(request.body, undefined, undefined, this._getRpcContext(request)).then((payload) => {
+      if (payload === undefined) return response.status(204).send()
+      return response.json(payload)
+    })
+  })
+
+  /*
+    Wallet Sync API, the daemon's own routes so that wallets can sync through us
+  */
+
+  this.app.post('/getwalletsyncdata', this._expensive('getwalletsyncdata'), (request, response) => {
+    var parsed = this.walletSync.parseSyncData(request.body)
+    if (parsed.error) {
+      return response.status(400).json({
+        error: {
+          code: 400,
+          message: parsed.error
+        }
       })
+    }
+    this.getWalletSyncData(parsed).then((data) => {
+      return response.json(data)
     }).catch((err) => {
       this.emit('error', err)
       return response.status(500).send()
     })
   })
 
-  this.app.post('/:node/:port/json_rpc', (request, response) => {
-    if (!request.params.node || !request.params.port) return response.status(400).send()
-    this._processJsonRPC(request.body, request.params.node, request.params.port).then((data) => {
-      return response.json({
-        jsonrpc: '2.0',
-        result: data
+  this.app.post('/queryblockslite', this._expensive('queryblockslite'), (request, response) => {
+    var parsed = this.walletSync.parseQueryBlocksLite(request.body)
+    if (parsed.error) {
+      return response.status(400).json({
+        error: {
+          code: 400,
+          message: parsed.error
+        }
       })
+    }
+    this.queryBlocksLite(parsed).then((data) => {
+      return response.json(data)
     }).catch((err) => {
       this.emit('error', err)
       return response.status(500).send()
     })
   })
 
-  this.app.post('/json_rpc', (request, response) => {
-    this._processJsonRPC(request.body).then((data) => {
-      return response.json({
-        jsonrpc: '2.0',
-        result: data
+  this.app.post('/get_global_indexes_for_range', this._expensive('get_global_indexes_for_range'), (request, response) => {
+    var parsed = this.walletSync.parseIndexRange(request.body)
+    if (parsed.error) {
+      return response.status(400).json({
+        error: {
+          code: 400,
+          message: parsed.error
+        }
       })
+    }
+    this.getGlobalIndexesForRange(parsed).then((data) => {
+      return response.json(data)
     }).catch((err) => {
       this.emit('error', err)
       return response.status(500).send()
@@ -432,11 +783,36 @@ function Self (opts) {
     REST API For Block Explorer
   */
 
+  this.app.get('/blocks', this._expensive('f_blocks_list_json'), (request, response) => {
+    var parsed = this.blockPager.parse(request.query)
+    if (parsed.error) {
+      return response.status(400).json({
+        error: {
+          code: 400,
+          message: parsed.error
+        }
+      })
+    }
+    this.getBlockCount({}).then((data) => {
+      return this.blockPager.page(parsed, data.count - 1, (height) => this.getBlocks({ height: height }))
+    }).then((page) => {
+      const link = (cursor) => (cursor) ? util.format('%s?cursor=%s', request.path, cursor) : null
+      return response.json({
+        jsonrpc: '2.0',
+        result: {
+          blocks: page.blocks,
+          next: link(page.next),
+          prev: link(page.prev)
+        }
+      })
+    }).catch((err) => {
+      this.emit('error', err)
+      return response.status(500).send()
+    })
+  })
+
   this.app.get('/blocks/count', (request, response) => {
-    this.getBlockCount({
-      host: this.defaultHost,
-      port: this.defaultPort
-    }).then((data) => {
+    this.getBlockCount({}).then((data) => {
       return response.json({
         jsonrpc: '2.0',
         result: data
@@ -447,11 +823,9 @@ function Self (opts) {
     })
   })
 
-  this.app.get('/blocks/:height', (request, response) => {
+  this.app.get('/blocks/:height', this._expensive('f_blocks_list_json'), (request, response) => {
     if (!request.params.height) return response.status(400).send()
     this.getBlocks({
-      host: this.defaultHost,
-      port: this.defaultPort,
       height: request.params.height }).then((data) => {
       return response.json({
         jsonrpc: '2.0',
@@ -464,10 +838,7 @@ function Self (opts) {
   })
 
   this.app.get('/block/header/top', (request, response) => {
-    this.getLastBlockHeader({
-      host: this.defaultHost,
-      port: this.defaultPort
-    }).then((data) => {
+    this.getLastBlockHeader({}).then((data) => {
       return response.json({
         jsonrpc: '2.0',
         result: data
@@ -483,8 +854,6 @@ function Self (opts) {
     var idx = parseInteger(request.params.idx)
     if (!idx) { // this is a hash, not a height
       this.getBlockHeaderByHash({
-        host: this.defaultHost,
-        port: this.defaultPort,
         hash: request.params.idx
       }).then((data) => {
         return response.json({
@@ -497,8 +866,6 @@ function Self (opts) {
       })
     } else {
       this.getBlockHeaderByHeight({
-        host: this.defaultHost,
-        port: this.defaultPort,
         height: idx
       }).then((data) => {
         return response.json({
@@ -517,8 +884,6 @@ function Self (opts) {
     var idx = parseInteger(request.params.idx)
     if (!idx) { // this is a hash, not a height
       this.getBlock({
-        host: this.defaultHost,
-        port: this.defaultPort,
         hash: request.params.idx
       }).then((data) => {
         return response.json({
@@ -531,8 +896,6 @@ function Self (opts) {
       })
     } else {
       this.getBlockHash({
-        host: this.defaultHost,
-        port: this.defaultPort,
         height: idx
       }).then((data) => {
         return response.json({
@@ -547,25 +910,91 @@ function Self (opts) {
   })
 
   this.app.get('/transaction/pool', (request, response) => {
-    this.getTransactionPool({
-      host: this.defaultHost,
-      port: this.defaultPort
-    }).then((data) => {
+    this.getTransactionPool({}).then((data) => {
+      return response.json({
+        jsonrpc: '2.0',
+        result: data
+      })
+    }).catch((err) => {
+      this.emit('error', err)
+      return response.status(500).send()
+    })
+  })
+
+  this.app.get('/transaction/pool/stats', (request, response) => {
+    this.getMempoolStats().then((data) => {
+      return response.json({
+        jsonrpc: '2.0',
+        result: data
+      })
+    }).catch((err) => {
+      this.emit('error', err)
+      return response.status(500).send()
+    })
+  })
+
+  this.app.get('/fee/recommended', (request, response) => {
+    this.getFeeRecommendation().then((data) => {
+      return response.json({
+        jsonrpc: '2.0',
+        result: data
+      })
+    }).catch((err) => {
+      this.emit('error', err)
+      return response.status(500).send()
+    })
+  })
+
+  this.app.post('/transaction/send', this._expensive('sendrawtransaction'), (request, response) => {
+    var parsed = this.txTracker.parse((request.body || {}).tx_as_hex)
+    if (parsed.error) {
+      return response.status(400).json({
+        error: {
+          code: 400,
+          message: parsed.error
+        }
+      })
+    }
+    this.sendRawTransaction(parsed).then((data) => {
       return response.json({
         jsonrpc: '2.0',
         result: data
       })
     }).catch((err) => {
+      if (err instanceof RpcError) {
+        return response.status(503).json({
+          error: {
+            code: 503,
+            message: err.data
+          }
+        })
+      }
       this.emit('error', err)
       return response.status(500).send()
     })
   })
 
+  this.app.get('/transaction/:hash/status', (request, response) => {
+    if (!/^[0-9a-fA-F]{64}$/.test(request.params.hash)) return response.status(400).send()
+    this._get(undefined, undefined, util.format('transactionstatus%s', request.params.hash.toLowerCase())).then((data) => {
+      if (!data) {
+        return response.status(404).json({
+          error: {
+            code: 404,
+            message: 'We have not relayed this transaction'
+          }
+        })
+      }
+      return response.json({
+        jsonrpc: '2.0',
+        result: data
+      })
+    })
+  })
+
   this.app.get('/transaction/:hash', (request, response) => {
     if (!request.params.hash) return response.status(400).send()
     this.getTransaction({
-      host: this.defaultHost,
-      port: this.defaultPort,
       hash: request.params.hash }).then((data) => {
       return response.json({
         jsonrpc: '2.0',
@@ -580,8 +1009,6 @@ function Self (opts) {
   this.app.get('/transactions/:paymentid', (request, response) => {
     if (!request.params.paymentid) return response.status(500).send()
     this.getTransactionHashesByPaymentId({
-      host: this.defaultHost,
-      port: this.defaultPort,
       paymentId: request.params.paymentid
     }).then((data) => {
       return response.json({
@@ -595,10 +1022,7 @@ function Self (opts) {
   })
 
   this.app.get('/currency', (request, response) => {
-    this.getCurrencyId({
-      host: this.defaultHost,
-      port: this.defaultPort
-    }).then((data) => {
+    this.getCurrencyId({}).then((data) => {
       return response.json({
         jsonrpc: '2.0',
         result: data
@@ -608,209 +1032,978 @@ function Self (opts) {
       return response.status(500).send()
     })
   })
+}
+inherits(Self, EventEmitter)
 
-  // Standard library timer setup
+/*
+  Binds the web service and starts polling the nodes and pools. Nothing is
+  polled until we are started so that an instance can be created, started,
+  stopped and started again within the same process
+*/
 
-  var that = this
-  function getPools () {
-    that._getPoolList().then((pools) => {
-      that.pools = pools
-    }).catch((err) => {
-      that.emit('error', err)
-    })
-  }
+Self.prototype.start = function () {
+  if (this.server) return Promise.resolve()
+  if (this.blockCacheStopped) this._setupBlockChainCache()
 
-  if (this.pools.length === 0) {
-    getPools()
-    this.poolUpdater = setInterval(getPools, (60 * 60 * 1000))
-  }
+  return new Promise((resolve, reject) => {
+    var server = this.app.listen(this.bindPort, this.bindIp)
+    this.connections = new Map()
 
-  this._getGlobalHeight()
-  this._getGlobalDifficulty()
-  this.seedDataUpdater = setInterval(() => {
-    this._getGlobalHeight()
-    this._getGlobalDifficulty()
-  }, ((Math.round(this.cacheTimeout / 2) * 1000)))
+    server.once('error', (err) => {
+      return reject(err)
+    })
 
-  this._getGlobalPoolHeight()
-  this._getGlobalPoolDifficulty()
-  this.poolDataUpdater = setInterval(() => {
-    this._getGlobalPoolHeight()
-    this._getGlobalPoolDifficulty()
-  }, ((Math.round(this.cacheTimeout / 2) * 1000)))
-}
-inherits(Self, EventEmitter)
+    server.once('listening', () => {
+      server.on('error', (err) => {
+        this.emit('error', err)
+      })
+      this.server = server
+      if (this.feedEnabled) this.feedSocket.attach(server)
+      this._startTimers()
+      var address = server.address()
+      this.emit('ready', address.address, address.port)
+      return resolve()
+    })
+
+    // Keep track of the requests running on every connection so that we can drain them on stop
+    server.on('connection', (socket) => {
+      this.connections.set(socket, 0)
+      socket.once('close', () => {
+        this.connections.delete(socket)
+      })
+    })
 
-Self.prototype.start = function () {
-  this.app.listen(this.bindPort, this.bindIp, () => {
-    this.emit('ready', this.bindIp, this.bindPort)
+    server.on('request', (request, response) => {
+      var socket = request.socket
+      this.connections.set(socket, (this.connections.get(socket) || 0) + 1)
+      response.once('finish', () => {
+        var active = (this.connections.get(socket) || 1) - 1
+        this.connections.set(socket, active)
+        if (this.stopping && active === 0) socket.destroy()
+      })
+    })
   })
 }
 
-Self.prototype.stop = function () {
-  this.app.stop()
-  this.blockCache.stop()
-  this.emit('stop')
-}
-
-Self.prototype._set = function (node, port, method, data, ttl) {
-  ttl = ttl || this.cacheTimeout
-  var key = util.format('%s%s%s', node, port, method)
-  this.cache.set(key, data, ttl)
-}
+/*
+  Stops accepting connections and waits up to stopTimeout for the requests
+  in flight to finish before closing what is left, then stops polling and
+  closes the caches
+*/
 
-Self.prototype._get = function (node, port, method) {
-  var key = util.format('%s%s%s', node, port, method)
-  var ret = this.cache.get(key)
-  if (!ret) return false
-  return ret
+Self.prototype.stop = function () {
+  if (!this.server) return Promise.resolve()
+  var server = this.server
+  this.stopping = true
+  this._stopTimers()
+
+  return Promise.all([
+    this.feedSocket.close(),
+    this.feedStream.close()
+  ]).then(() => new Promise((resolve, reject) => {
+    var deadline = setTimeout(() => {
+      this.connections.forEach((active, socket) => socket.destroy())
+    }, this.stopTimeout)
+
+    server.close(() => {
+      clearTimeout(deadline)
+      return resolve()
+    })
+
+    // Idle keep-alive connections would otherwise hold the server open
+    this.connections.forEach((active, socket) => {
+      if (active === 0) socket.destroy()
+    })
+  })).then(() => {
+    return Promise.all([
+      this.cache.close(),
+      this.apiKeyStore.close(),
+      Promise.resolve().then(() => this.blockCache.stop())
+    ])
+  }).then(() => {
+    this.server = null
+    this.stopping = false
+    this.blockCacheStopped = true
+    this.emit('stop')
+  })
 }
 
 /*
-  Standard JSON HTTP API Commands
+  Swaps the seeds, pools, TTLs and access policies for the ones in options, or
+  in the configuration returned by loadConfig, without dropping any connections.
+  Everything is built and validated before anything is swapped so that a bad
+  setting changes nothing. Resolves, and emits as reloaded, what changed
 */
 
-Self.prototype._getInfo = function (node, port) {
-  const rpc = new TurtleCoind({
-    host: node || this.defaultHost,
-    port: port || this.defaultPort
-  })
-  return new Promise((resolve, reject) => {
-    var cache = this._get(node, port, 'getinfo')
-    if (cache) {
-      cache.cached = true
-      return resolve(cache)
-    }
-    rpc.getInfo().then((data) => {
-      data.cached = false
-      data.node = {
-        host: rpc.host,
-        port: rpc.port
+Self.prototype.reload = function (options) {
+  return Promise.resolve().then(() => {
+    if (options) return options
+    if (!this.loadConfig) throw new Error('There is no configuration to reload')
+    return this.loadConfig()
+  }).then((options) => {
+    var previous = this.options
+    var changed = reloadable.filter((key) => JSON.stringify(previous[key]) !== JSON.stringify(options[key]))
+
+    var seeds = options.seeds || backupSeeds
+    var cachePolicy = new CachePolicy({
+      cacheTimeout: this.cacheTimeout,
+      confirmedDepth: options.confirmedDepth,
+      ttls: options.ttls
+    })
+    var targetPolicy = new TargetPolicy(options.targetPolicy)
+    var rpcPolicy = new RpcPolicy(options.rpcPolicy)
+    var rateLimiter = new RateLimiter(options.rateLimits)
+
+    // A new pool list only replaces the current one once it has loaded a valid list
+    var poolsChanged = (changed.indexOf('pools') !== -1 || changed.indexOf('poolList') !== -1)
+    var poolList = (poolsChanged) ? this._createPoolList(options) : this.poolList
+    return ((poolsChanged) ? poolList.refresh() : Promise.resolve()).then(() => {
+      var nodeId = (node) => util.format('%s:%s', node.host, node.port)
+      var diff = {
+        changed: changed,
+        seeds: listDiff(this.seeds.map(nodeId), seeds.map(nodeId)),
+        pools: listDiff(this.pools.map((pool) => pool.name), poolList.pools.map((pool) => pool.name)),
+        restartRequired: Object.keys(Object.assign({}, previous, options)).filter((key) => {
+          if (reloadable.indexOf(key) !== -1 || typeof options[key] === 'function' || typeof previous[key] === 'function') return false
+          return JSON.stringify(previous[key]) !== JSON.stringify(options[key])
+        })
       }
-      data.globalHashRate = Math.round(data.difficulty / targetBlockTime)
-      this._set(node, port, 'getinfo', data)
-      return resolve(data)
-    }).catch((err) => {
-      return resolve({ error: err, node: { host: rpc.host, port: rpc.port } })
+      var removedSeeds = this.seeds.filter((node) => diff.seeds.removed.indexOf(nodeId(node)) !== -1)
+      var removedPools = this.pools.filter((pool) => diff.pools.removed.indexOf(pool.name) !== -1)
+
+      this.options = options
+      this.seeds = seeds
+      this.nodePool.setNodes([{ host: this.defaultHost, port: this.defaultPort }].concat(seeds))
+      this.cachePolicy = cachePolicy
+      this.targetPolicy = targetPolicy
+      this.rpcPolicy = rpcPolicy
+      this.apiKeys = options.apiKeys || []
+      this.adminKeys = options.adminKeys || []
+      this.rateLimiter = rateLimiter
+      if (poolsChanged) {
+        this.poolList.stop()
+        this.poolList = poolList
+        this.pools = poolList.pools
+        this.poolMonitor.prune(this.pools.map((pool) => pool.name))
+        if (this.server) poolList.start()
+      }
+      this.reloadedAt = Date.now()
+
+      return this._forget(removedSeeds, removedPools, changed).then(() => {
+        this.emit('reloaded', diff)
+        return diff
+      })
     })
   })
 }
 
-Self.prototype._feeInfo = function (node, port) {
-  const rpc = new TurtleCoind({
-    host: node || this.defaultHost,
-    port: port || this.defaultPort
-  })
-  return new Promise((resolve, reject) => {
-    var cache = this._get(node, port, 'feeinfo')
-    if (cache) {
-      cache.cached = true
-      return resolve(cache)
-    }
-    rpc.feeInfo().then((data) => {
-      data.cached = false
-      data.node = {
-        host: rpc.host,
-        port: rpc.port
-      }
-      this._set(node, port, 'feeinfo', data)
-      return resolve(data)
-    }).catch((err) => {
-      return resolve({ error: err, node: { host: rpc.host, port: rpc.port } })
+// Drops what we cached about seeds and pools that were removed, along with everything derived from them
+
+Self.prototype._forget = function (seeds, pools, changed) {
+  var entries = []
+  seeds.forEach((node) => {
+    ['getinfo', 'feeinfo', 'getheight', 'gettransactions', 'getpeers'].forEach((method) => {
+      entries.push([node.host, node.port, method], [node.host, undefined, method])
     })
+    var id = util.format('%s:%s', node.host, node.port)
+    delete this.heightConsensus.reliability[id]
+    delete this.difficultyConsensus.reliability[id]
+  })
+  if (seeds.length !== 0 || changed.indexOf('seeds') !== -1) {
+    ['globalheight', 'globaldifficulty', 'forks'].forEach((method) => entries.push(['network', 'network', method]))
+  }
+  pools.forEach((pool) => {
+    entries.push(['pool', pool.url, 'networkInfo'])
+    delete this.heightConsensus.reliability[pool.name]
+    delete this.difficultyConsensus.reliability[pool.name]
   })
+  if (pools.length !== 0) {
+    ['globalpoolheight', 'globalpooldifficulty', 'poolstatus'].forEach((method) => entries.push(['pool', 'pool', method]))
+  }
+  return Promise.all(entries.map((entry) => this._del(entry[0], entry[1], entry[2])))
 }
 
-Self.prototype._getHeight = function (node, port) {
-  const rpc = new TurtleCoind({
-    host: node || this.defaultHost,
-    port: port || this.defaultPort
-  })
-  return new Promise((resolve, reject) => {
-    var cache = this._get(node, port, 'getheight')
-    if (cache) {
-      cache.cached = true
-      return resolve(cache)
-    }
-    rpc.getHeight().then((data) => {
-      data.cached = false
-      data.node = {
-        host: rpc.host,
-        port: rpc.port
-      }
-      this._set(node, port, 'getheight', data)
-      return resolve(data)
-    }).catch((err) => {
-      return resolve({ error: err, node: { host: rpc.host, port: rpc.port } })
-    })
-  })
+// Lets the other workers sharing our cache know that they should reload as well
+
+Self.prototype._announceReload = function () {
+  return this._set('admin', 'admin', 'reload', { at: this.reloadedAt, by: this.instanceId }, CachePolicy.FOREVER)
 }
 
-Self.prototype._getTransactions = function (node, port) {
-  const rpc = new TurtleCoind({
-    host: node || this.defaultHost,
-    port: port || this.defaultPort
-  })
-  return new Promise((resolve, reject) => {
-    var cache = this._get(node, port, 'gettransactions')
-    if (cache) {
-      cache.cached = true
-      return resolve(cache)
-    }
-    rpc.getTransactions().then((data) => {
-      data.cached = false
-      data.node = {
-        host: rpc.host,
-        port: rpc.port
-      }
-      this._set(node, port, 'gettransactions', data)
-      return resolve(data)
-    }).catch((err) => {
-      return resolve({ error: err, node: { host: rpc.host, port: rpc.port } })
+Self.prototype._checkReload = function () {
+  if (!this.loadConfig) return Promise.resolve()
+  return this._get('admin', 'admin', 'reload').then((announced) => {
+    if (!announced || announced.by === this.instanceId || announced.at <= this.reloadedAt) return
+    return this.reload().catch((err) => {
+      this.emit('error', util.format('[RELOAD] %s', err.message || err))
     })
   })
 }
 
-Self.prototype._getPeers = function (node, port) {
-  const rpc = new TurtleCoind({
-    host: node || this.defaultHost,
-    port: port || this.defaultPort
-  })
-  return new Promise((resolve, reject) => {
-    var cache = this._get(node, port, 'getpeers')
-    if (cache) {
-      cache.cached = true
-      return resolve(cache)
-    }
-    rpc.getPeers().then((data) => {
-      data.cached = false
-      data.node = {
-        host: rpc.host,
-        port: rpc.port
-      }
-      this._set(node, port, 'getpeers', data)
-      return resolve(data)
-    }).catch((err) => {
-      return resolve({ error: err, node: { host: rpc.host, port: rpc.port } })
-    })
-  })
+Self.prototype._isAdmin = function (request) {
+  var key = request.get('X-API-Key') || request.query.apikey
+  return (key !== undefined && this.adminKeys.indexOf(key) !== -1)
 }
 
 /*
-  Begin JSON RPC API Commands
+  Works out who is calling, refuses invalid API keys and takes the request
+  out of the caller's budget. Holders of admin keys are never limited and a
+  cache or database that we cannot reach never stops a request. An API key
+  that we do not already know to be valid is paid for out of the anonymous
+  budget of the address that sent it before we look it up, so that guessing
+  keys is limited like any other anonymous request
 */
 
-Self.prototype._processJsonRPC = function (content, node, port) {
-  node = node || this.defaultHost
-  port = port || this.defaultPort
+Self.prototype._rateLimit = function (request, response, next) {
+  if (request.method === 'OPTIONS' || unlimitedPaths.indexOf(request.path) !== -1 || this._isAdmin(request)) return next()
 
-  const reject = function (reason) {
-    return new Promise((resolve, reject) => {
-      return reject(new Error(reason))
-    })
-  }
+  var key = request.get('X-API-Key') || request.query.apikey
+  var known = (typeof key === 'string') && (this._configuredKey(key) !== undefined || (this.apiKeyStore.cached(key) || {}).entry)
+  var charged = (key !== undefined && !known)
+    ? this._consume(request, response, 'requests', 1, this._anonymous(request))
+    : Promise.resolve(true)
 
-  if (!content.method) return reject('No method defined')
+  charged.then((proceed) => {
+    if (!proceed) return false
+    return this._identify(request).then((client) => this._admit(request, response, client))
+  }).catch((err) => {
+    this.emit('error', util.format('[RATELIMIT] %s', err.message || err))
+    return true
+  }).then((proceed) => {
+    if (proceed) next()
+  })
+}
+
+// Resolves whether the request of client, as resolved by _identify, may proceed
+
+Self.prototype._admit = function (request, response, client) {
+  if (!client) {
+    response.status(401).json({
+      error: {
+        code: 401,
+        message: 'Invalid API key'
+      }
+    })
+    return Promise.resolve(false)
+  }
+  request.client = client
+
+  // Every call in a JSON-RPC batch counts towards the budgets
+  var methods = jsonRpcMethods(request)
+  var expensive = methods.filter((method) => this.rateLimiter.isExpensive(method)).length
+  return this._consume(request, response, 'requests', Math.max(methods.length, 1)).then((proceed) => {
+    if (!proceed || expensive === 0) return proceed
+    return this._consume(request, response, 'expensive', expensive)
+  })
+}
+
+/*
+  WebSocket upgrades never reach the Express middleware, so they are set
+  up the way Express sets up every request and go through _rateLimit with
+  a stand-in for the response. Resolves { address } when the caller may
+  connect, or the { status, headers, body } they are to be answered with
+*/
+
+Self.prototype._admitUpgrade = function (request) {
+  Object.setPrototypeOf(request, this.app.request)
+  var query = {}
+  new URL(request.url, 'http://localhost').searchParams.forEach((value, name) => {
+    query[name] = value
+  })
+  request.query = query
+
+  return new Promise((resolve, reject) => {
+    var answer = { status: 200, headers: {} }
+    var response = {
+      locals: {},
+      header: (name, value) => {
+        answer.headers[name] = value
+        return response
+      },
+      status: (status) => {
+        answer.status = status
+        return response
+      },
+      json: (body) => {
+        answer.body = body
+        return resolve(answer)
+      }
+    }
+    this._rateLimit(request, response, () => resolve({ address: request.ip }))
+  })
+}
+
+// Route middleware that takes a request out of the expensive budget when method is expensive
+
+Self.prototype._expensive = function (method) {
+  return (request, response, next) => {
+    if (!request.client || !this.rateLimiter.isExpensive(method)) return next()
+    this._consume(request, response, 'expensive', 1).catch((err) => {
+      this.emit('error', util.format('[RATELIMIT] %s', err.message || err))
+      return true
+    }).then((proceed) => {
+      if (proceed) next()
+    })
+  }
+}
+
+// Resolves { id, tier, authenticated } for the caller or undefined if the API key they sent is not valid
+
+Self.prototype._identify = function (request) {
+  var key = request.get('X-API-Key') || request.query.apikey
+  if (key === undefined) return Promise.resolve(this._anonymous(request))
+  if (typeof key !== 'string' || key.length === 0) return Promise.resolve(undefined)
+
+  // The key itself never ends up in the shared cache
+  var id = util.format('key:%s', crypto.createHash('sha256').update(key).digest('hex').slice(0, 32))
+  var configured = this._configuredKey(key)
+  var lookup = (configured !== undefined)
+    ? Promise.resolve({ tier: configured.tier || this.rateLimiter.keyTier })
+    : this.apiKeyStore.lookup(key)
+
+  return lookup.then((entry) => {
+    if (!entry) return undefined
+    return {
+      id: id,
+      tier: this.rateLimiter.tier(entry.tier),
+      authenticated: true
+    }
+  }).catch((err) => {
+    this.emit('error', util.format('[APIKEYS] Could not look up an API key, treating the caller as anonymous: %s', err.message || err))
+    return this._anonymous(request)
+  })
+}
+
+Self.prototype._anonymous = function (request) {
+  return {
+    id: util.format('ip:%s', request.ip),
+    tier: this.rateLimiter.anonymousTier,
+    authenticated: false
+  }
+}
+
+Self.prototype._configuredKey = function (key) {
+  return this.apiKeys.filter((entry) => entry === key || (entry && entry.key === key))[0]
+}
+
+/*
+  Takes amount out of the caller's budget, reports whichever budget is closest
+  to running out in the RateLimit headers and answers 429 once one runs out.
+  Resolves whether the request may proceed. The budget is the one of the
+  client that was identified for the request unless another client is given
+*/
+
+Self.prototype._consume = function (request, response, budget, amount, client) {
+  client = client || request.client
+  return this.rateLimiter.consume(this.cache, client.id, client.tier, budget, amount).then((result) => {
+    if (!result) return true
+
+    var reported = response.locals.rateLimit
+    if (!reported || result.limited || result.remaining < reported.remaining) {
+      response.locals.rateLimit = result
+      response.header('RateLimit-Limit', result.limit)
+      response.header('RateLimit-Remaining', result.remaining)
+      response.header('RateLimit-Reset', result.reset)
+    }
+    if (!result.limited) return true
+
+    if (this.metrics) this.metrics.inc('rate_limited_total', { tier: client.tier, budget: budget })
+    response.header('Retry-After', result.reset)
+    response.status(429).json({
+      error: {
+        code: 429,
+        message: 'Rate limit exceeded',
+        data: {
+          tier: client.tier,
+          budget: budget,
+          limit: result.limit,
+          retryAfter: result.reset
+        }
+      }
+    })
+    return false
+  })
+}
+
+Self.prototype._createPoolList = function (opts) {
+  var poolList = new PoolList(Object.assign({
+    timeout: this.timeout,
+    cacheFile: path.join(this.dbFolder, 'pools.json')
+  }, opts.poolList, { pools: opts.pools }))
+  // A list that has been replaced by a reload no longer speaks for us
+  poolList.on('update', (pools) => {
+    if (poolList !== this.poolList) return
+    this.pools = pools
+    this.poolMonitor.prune(pools.map((pool) => pool.name))
+    this.emit('info', util.format('[POOLS] Using %s pools', pools.length))
+  })
+  poolList.on('info', (info) => {
+    this.emit('info', util.format('[POOLS] %s', info))
+  })
+  poolList.on('error', (err) => {
+    this.emit('error', util.format('[POOLS] %s', err))
+  })
+  return poolList
+}
+
+// When the cache is shared, only the worker holding the updater lock polls the seeds and pools
+
+Self.prototype._startTimers = function () {
+  this.nodePool.start()
+  this.poolList.start()
+  if (this.metrics) this.metrics.start()
+
+  const updateSeedData = () => {
+    this._checkReload()
+    this._isLeader().then((leader) => {
+      if (!leader) return
+      this._getGlobalHeight()
+      this._getGlobalDifficulty()
+      this._getForks()
+    })
+  }
+
+  const updatePoolData = () => {
+    this._isLeader().then((leader) => {
+      if (!leader) return
+      this._getGlobalPoolHeight()
+      this._getGlobalPoolDifficulty()
+      this._getPoolStatus()
+    })
+  }
+
+  updateSeedData()
+  this.seedDataUpdater = setInterval(updateSeedData, ((Math.round(this.cacheTimeout / 2) * 1000)))
+
+  updatePoolData()
+  this.poolDataUpdater = setInterval(updatePoolData, ((Math.round(this.cacheTimeout / 2) * 1000)))
+
+  if (this.feedEnabled) {
+    this.feedUpdater = setInterval(() => {
+      this._updateFeed()
+    }, this.feedInterval)
+  }
+
+  this.transactionChecker = setInterval(() => {
+    this._checkTransactions()
+  }, this.txTracker.interval)
+
+  if (this.miningEnabled) {
+    this._watchMiningTip()
+    this.miningTipWatcher = setInterval(() => {
+      this._watchMiningTip()
+    }, this.tipInterval)
+  }
+}
+
+Self.prototype._stopTimers = function () {
+  clearInterval(this.seedDataUpdater)
+  clearInterval(this.poolDataUpdater)
+  clearInterval(this.feedUpdater)
+  clearInterval(this.transactionChecker)
+  clearInterval(this.miningTipWatcher)
+  this.seedDataUpdater = null
+  this.poolDataUpdater = null
+  this.feedUpdater = null
+  this.transactionChecker = null
+  this.miningTipWatcher = null
+  this.nodePool.stop()
+  this.poolList.stop()
+  if (this.metrics) this.metrics.stop()
+}
+
+/*
+  Looks for the transactions that we are following in the mempool and, if
+  they are not there, in the chain. The transactions are looked up one at a
+  time so that following a lot of them does not flood our nodes
+*/
+
+Self.prototype._checkTransactions = function () {
+  var tracking = this.txTracker.tracking()
+  if (tracking.length === 0 || this.transactionsChecking) return Promise.resolve()
+  this.transactionsChecking = true
+
+  return this.getTransactionPool({}).then((data) => {
+    var pool = (data.transactions || []).map((transaction) => transaction.hash)
+    return tracking.reduce((previous, entry) => {
+      return previous.then(() => {
+        var inPool = (pool.indexOf(entry.hash) !== -1)
+        var lookup = (inPool) ? Promise.resolve() : this.getTransaction({ hash: entry.hash }).then((data) => {
+          return (data && data.block && typeof data.block.height === 'number') ? data.block : undefined
+        }).catch(() => {
+          return undefined
+        })
+        return lookup.then((block) => {
+          var updated = this.txTracker.update(entry, inPool, block)
+          if (updated) return this._setTransactionStatus(updated)
+        })
+      })
+    }, Promise.resolve())
+  }).catch((err) => {
+    this.emit('error', util.format('[TRANSACTIONS] %s', err.message || err))
+  }).then(() => {
+    this.transactionsChecking = false
+  })
+}
+
+Self.prototype._setTransactionStatus = function (entry) {
+  return this._set(undefined, undefined, util.format('transactionstatus%s', entry.hash), entry, this.txTracker.retention)
+}
+
+// Templates are only shared for as long as the nodes they come from have the same top block
+
+Self.prototype._watchMiningTip = function () {
+  if (this.miningTipChecking) return Promise.resolve()
+  this.miningTipChecking = true
+
+  return this._miningNodes().then((nodes) => {
+    return this._rpc(undefined, undefined, (rpc) => rpc.getLastBlockHeader(), { nodes: nodes })
+  }).then((header) => {
+    if (this.miningTip && this.miningTip.hash === header.hash) return
+    this.miningTip = { hash: header.hash, height: header.height }
+    this.templates.clear()
+  }).catch((err) => {
+    this.emit('error', util.format('[MINING] %s', err.message || err))
+  }).then(() => {
+    this.miningTipChecking = false
+  })
+}
+
+/*
+  Publishes what changed since we last looked on every channel of the live
+  feed, but only while someone is subscribed to it. Every worker watches
+  for itself using the same cached answers that the API serves
+*/
+
+Self.prototype._updateFeed = function () {
+  if (!this.feed.active() || this.feedUpdating) return Promise.resolve()
+  this.feedUpdating = true
+
+  return Promise.all([
+    this._watchBlocks(),
+    this._watchMempool(),
+    this._watchNetwork(),
+    this._watchPools()
+  ].map((watch) => {
+    return watch.catch((err) => {
+      this.emit('error', util.format('[FEED] %s', err.message || err))
+    })
+  })).then(() => {
+    this.feedUpdating = false
+  })
+}
+
+// The top block, which comes from the blockchain cache while it is in sync
+
+Self.prototype._watchBlocks = function () {
+  return this.getLastBlockHeader({}).then((data) => {
+    var header = (data && data.block_header) ? data.block_header : data
+    if (!header || !header.hash || header.hash === this.feedState.blocks) return
+    this.feedState.blocks = header.hash
+    this.feed.publish('blocks', header)
+  })
+}
+
+Self.prototype._watchMempool = function () {
+  return this.getTransactionPool({}).then((data) => {
+    var hashes = (data.transactions || []).map((transaction) => transaction.hash)
+    var previous = this.feedState.mempool
+    this.feedState.mempool = hashes
+    var diff = listDiff(previous || [], hashes)
+    if (previous !== undefined && diff.added.length === 0 && diff.removed.length === 0) return
+    this.feed.publish('mempool', diff, { transactions: hashes })
+  })
+}
+
+// Only a new agreed on height or difficulty is news, the spread around them changes all the time
+
+Self.prototype._watchNetwork = function () {
+  return Promise.all([
+    this._getGlobalHeight(),
+    this._getGlobalDifficulty()
+  ]).then((results) => {
+    var height = results[0]
+    var difficulty = results[1]
+    if (height.error || difficulty.error) return
+    var key = util.format('%s:%s', height.win, difficulty.win)
+    if (key === this.feedState.network) return
+    this.feedState.network = key
+    this.feed.publish('network', { height: height, difficulty: difficulty })
+  })
+}
+
+Self.prototype._watchPools = function () {
+  return this._getPoolStatus().then((status) => {
+    if (status.error) return
+    var previous = this.feedState.pools || {}
+    var current = {}
+    var changed = []
+    status.pools.forEach((pool) => {
+      current[pool.name] = JSON.stringify([pool.online, pool.height, pool.stuck, pool.offConsensus, pool.lastBlockFound])
+      if (current[pool.name] !== previous[pool.name]) changed.push(pool)
+    })
+    var removed = Object.keys(previous).filter((name) => current[name] === undefined)
+    this.feedState.pools = current
+    if (changed.length === 0 && removed.length === 0) return
+    this.feed.publish('pools', { changed: changed, removed: removed }, { pools: status.pools })
+  })
+}
+
+Self.prototype._set = function (node, port, method, data, ttl) {
+  ttl = (ttl !== undefined) ? ttl : this.cacheTimeout
+  var key = util.format('%s%s%s', node, port, method)
+  return this.cache.set(key, data, ttl).catch((err) => {
+    this.emit('error', util.format('[CACHE] %s', err))
+  })
+}
+
+Self.prototype._del = function (node, port, method) {
+  var key = util.format('%s%s%s', node, port, method)
+  return this.cache.del(key).catch((err) => {
+    this.emit('error', util.format('[CACHE] %s', err))
+  })
+}
+
+// Resolves the cached value or false, a cache backend that is unavailable is treated as a miss
+
+Self.prototype._get = function (node, port, method) {
+  var key = util.format('%s%s%s', node, port, method)
+  return this.cache.get(key).then((ret) => {
+    if (!ret) return false
+    return ret
+  }).catch((err) => {
+    this.emit('error', util.format('[CACHE] %s', err))
+    return false
+  })
+}
+
+/*
+  Resolves the cached value for the key or fetches a fresh one. Concurrent callers
+  share a single upstream fetch and an expired value is served, marked as stale,
+  while one refresh runs in the background. The ttl defaults to the one configured
+  for the method and may be a function that picks it based on the fetched value
+*/
+
+Self.prototype._fetch = function (node, port, method, fetch, ttl) {
+  return this._get(node, port, method).then((entry) => {
+    if (entry && (entry.expires === 0 || entry.expires > Date.now())) {
+      this._countCache('hit')
+      return markCached(entry.value, method, 'HIT')
+    }
+    if (entry) {
+      this._countCache('stale')
+      this._refresh(node, port, method, fetch, ttl).catch(() => {})
+      return markCached(entry.value, method, 'STALE')
+    }
+    this._countCache('miss')
+    return this._refresh(node, port, method, fetch, ttl).then((value) => {
+      return markCached(value, method, 'MISS')
+    })
+  })
+}
+
+Self.prototype._refresh = function (node, port, method, fetch, ttl) {
+  var key = util.format('%s%s%s', node, port, method)
+  if (this.inflight[key]) return this.inflight[key]
+
+  this.inflight[key] = Promise.resolve().then(fetch).then((value) => {
+    var seconds = (typeof ttl === 'function') ? ttl(value) : (ttl !== undefined) ? ttl : this.cachePolicy.ttl(method)
+    var forever = (seconds === CachePolicy.FOREVER)
+    var entry = {
+      value: value,
+      expires: (forever) ? 0 : Date.now() + seconds * 1000
+    }
+    return this._set(node, port, method, entry, (forever) ? CachePolicy.FOREVER : seconds + this.staleTimeout).then(() => {
+      delete this.inflight[key]
+      return value
+    })
+  }).catch((err) => {
+    delete this.inflight[key]
+    throw err
+  })
+  return this.inflight[key]
+}
+
+// The lock outlives a few update intervals so that a crashed leader is replaced quickly but not eagerly
+
+Self.prototype._isLeader = function () {
+  var ttl = Math.round(this.cacheTimeout / 2) * 3
+  return this.cache.lock('updater', this.instanceId, ttl).catch((err) => {
+    this.emit('error', util.format('[CACHE] %s', err))
+    return true
+  })
+}
+
+Self.prototype._cacheControl = function (request, body) {
+  if (!request.route) return this.cachePolicy.cacheControl(this.cacheTimeout)
+
+  // JSON-RPC calls follow the TTL of the methods called, the shortest wins in a batch
+  var methods = [].concat(request.body || []).map((call) => (call) ? call.method : undefined).filter((method) => typeof method === 'string')
+
+  var result = (body && body.result !== undefined) ? body.result : body
+  var height = heightOf(result)
+  if (height === undefined) height = parseInteger((request.params.idx || request.params.height || '').toString())
+
+  var ttl = this.cachePolicy.routeTtl(request.route.path, methods, height, this.nodePool.networkHeight)
+  return this.cachePolicy.cacheControl(ttl)
+}
+
+// Blocks and transactions buried deep enough below the tip are cached forever
+
+Self.prototype._confirmedTtl = function (method, height) {
+  return this.cachePolicy.confirmedTtl(method, height, this.nodePool.networkHeight)
+}
+
+// Our default node and trusted seeds are always reachable, everything else must pass the target policy
+
+Self.prototype._checkTarget = function (node, port) {
+  var host = (node || '').toString().toLowerCase()
+  var trusted = [{ host: this.defaultHost, port: this.defaultPort }].concat(this.seeds)
+  for (var i = 0; i < trusted.length; i++) {
+    if (trusted[i].host.toLowerCase() !== host) continue
+    if (port === undefined || parseInt(port) === parseInt(trusted[i].port)) {
+      return Promise.resolve({ allowed: true, host: host, port: port })
+    }
+  }
+  return this.targetPolicy.check(node, port)
+}
+
+/*
+  Runs fn(rpc) against the requested node, or against the healthiest
+  node in the node pool with failover when no node was requested, select
+  is handed to the node pool to narrow down the nodes it picks from. A
+  requested node is checked against the target policy once more and
+  reached at the address that passed, so that a name that resolves
+  somewhere else by the time we connect can not take us there
+*/
+
+Self.prototype._rpc = function (node, port, fn, select) {
+  const call = (rpc) => {
+    var start = process.hrtime()
+    return fn(rpc).then((data) => {
+      this._observeUpstream(rpc, start, 'ok')
+      return data
+    }).catch((err) => {
+      this._observeUpstream(rpc, start, 'error')
+      throw err
+    })
+  }
+
+  if (!node) return this.nodePool.execute(call, select)
+  return new Promise((resolve, reject) => {
+    this._checkTarget(node, port).then((result) => {
+      if (!result.allowed) throw new Error(result.reason)
+      var address = result.address || node
+      const rpc = new TurtleCoind({
+        host: (net.isIP(address) === 6) ? util.format('[%s]', address) : address,
+        port: port || this.defaultPort
+      })
+      return call(rpc)
+    }).then((data) => {
+      return resolve(data)
+    }).catch((err) => {
+      return reject(err)
+    })
+  })
+}
+
+Self.prototype._rpcTarget = function (node, port) {
+  if (!node) return undefined
+  return {
+    host: node,
+    port: port || this.defaultPort
+  }
+}
+
+/*
+  Standard JSON HTTP API Commands
+*/
+
+Self.prototype._getInfo = function (node, port) {
+  return new Promise((resolve, reject) => {
+    this._fetch(node, port, 'getinfo', () => {
+      return this._rpc(node, port, (rpc) => {
+        return rpc.getInfo().then((data) => {
+          data.node = {
+            host: rpc.host,
+            port: rpc.port
+          }
+          return data
+        })
+      }).then((data) => {
+        data.globalHashRate = Math.round(data.difficulty / targetBlockTime)
+        return data
+      })
+    }).then((data) => {
+      return resolve(data)
+    }).catch((err) => {
+      return resolve({ error: err, node: this._rpcTarget(node, port) })
+    })
+  })
+}
+
+Self.prototype._feeInfo = function (node, port) {
+  return new Promise((resolve, reject) => {
+    this._fetch(node, port, 'feeinfo', () => {
+      return this._rpc(node, port, (rpc) => {
+        return rpc.feeInfo().then((data) => {
+          data.node = {
+            host: rpc.host,
+            port: rpc.port
+          }
+          return data
+        })
+      })
+    }).then((data) => {
+      return resolve(data)
+    }).catch((err) => {
+      return resolve({ error: err, node: this._rpcTarget(node, port) })
+    })
+  })
+}
+
+Self.prototype._getHeight = function (node, port) {
+  return new Promise((resolve, reject) => {
+    this._fetch(node, port, 'getheight', () => {
+      return this._rpc(node, port, (rpc) => {
+        return rpc.getHeight().then((data) => {
+          data.node = {
+            host: rpc.host,
+            port: rpc.port
+          }
+          return data
+        })
+      })
+    }).then((data) => {
+      return resolve(data)
+    }).catch((err) => {
+      return resolve({ error: err, node: this._rpcTarget(node, port) })
+    })
+  })
+}
+
+Self.prototype._getTransactions = function (node, port) {
+  return new Promise((resolve, reject) => {
+    this._fetch(node, port, 'gettransactions', () => {
+      return this._rpc(node, port, (rpc) => {
+        return rpc.getTransactions().then((data) => {
+          data.node = {
+            host: rpc.host,
+            port: rpc.port
+          }
+          return data
+        })
+      })
+    }).then((data) => {
+      return resolve(data)
+    }).catch((err) => {
+      return resolve({ error: err, node: this._rpcTarget(node, port) })
+    })
+  })
+}
+
+Self.prototype._getPeers = function (node, port) {
+  return new Promise((resolve, reject) => {
+    this._fetch(node, port, 'getpeers', () => {
+      return this._rpc(node, port, (rpc) => {
+        return rpc.getPeers().then((data) => {
+          data.node = {
+            host: rpc.host,
+            port: rpc.port
+          }
+          return data
+        })
+      })
+    }).then((data) => {
+      return resolve(data)
+    }).catch((err) => {
+      return resolve({ error: err, node: this._rpcTarget(node, port) })
+    })
+  })
+}
+
+/*
+  Begin JSON RPC API Commands
+*/
+
+Self.prototype._getRpcContext = function (request) {
+  return {
+    authenticated: (request.client !== undefined && request.client.authenticated)
+  }
+}
+
+/*
+  Wraps _processJsonRPC in JSON-RPC 2.0 envelopes for single and batch requests,
+  resolves undefined when there is nothing to send back (notifications only)
+*/
+
+Self.prototype._handleJsonRPC = function (body, node, port, context) {
+  if (!Array.isArray(body)) return this._handleJsonRPCCall(body, node, port, context)
+
+  if (body.length === 0) {
+    return Promise.resolve({
+      jsonrpc: '2.0',
+      error: new RpcError(RpcError.INVALID_REQUEST, 'Invalid Request'),
+      id: null
+    })
+  }
+
+  var promises = []
+  for (var i = 0; i < body.length; i++) {
+    promises.push(this._handleJsonRPCCall(body[i], node, port, context))
+  }
+  return Promise.all(promises).then((results) => {
+    var responses = results.filter((result) => result !== undefined)
+    if (responses.length === 0) return undefined
+    return responses
+  })
+}
+
+Self.prototype._handleJsonRPCCall = function (content, node, port, context) {
+  return new Promise((resolve, reject) => {
+    if (!isValidJsonRPCRequest(content)) {
+      return resolve({
+        jsonrpc: '2.0',
+        error: new RpcError(RpcError.INVALID_REQUEST, 'Invalid Request'),
+        id: (content && isValidJsonRPCId(content.id)) ? content.id : null
+      })
+    }
+
+    // Requests without an id are notifications and do not receive a response
+    const isNotification = (content.id === undefined)
+
+    this._processJsonRPC(content, node, port, context).then((result) => {
+      if (isNotification) return resolve()
+      return resolve({
+        jsonrpc: '2.0',
+        result: result,
+        id: content.id
+      })
+    }).catch((err) => {
+      if (!(err instanceof RpcError)) {
+        this.emit('error', err)
+        err = new RpcError(RpcError.INTERNAL_ERROR, 'Internal error', (err instanceof Error) ? err.message : err)
+      }
+      if (isNotification) return resolve()
+      return resolve({
+        jsonrpc: '2.0',
+        error: err,
+        id: content.id
+      })
+    })
+  })
+}
+
+Self.prototype._processJsonRPC = function (content, node, port, context) {
+  const reject = function (reason) {
+    return new Promise((resolve, reject) => {
+      return reject((reason instanceof Error) ? reason : new Error(reason))
+    })
+  }
+
+  if (!content.method) return reject(new RpcError(RpcError.INVALID_REQUEST, 'Invalid Request', 'No method defined'))
+
+  var denied = this.rpcPolicy.check(content.method, content.params, context)
+  if (denied) return reject(denied)
 
   try {
     switch (content.method) {
@@ -889,6 +2082,10 @@ Self.prototype._processJsonRPC = function (content, node, port) {
           port: port,
           paymentId: content.params.paymentId
         })
+      case 'sendrawtransaction':
+        var parsed = this.txTracker.parse(content.params.tx_as_hex)
+        if (parsed.error) return reject(new RpcError(RpcError.INVALID_PARAMS, 'Invalid params', parsed.error))
+        return this.sendRawTransaction(Object.assign({ host: node, port: port }, parsed))
       default:
         return this._jsonRpc({
           host: node,
@@ -898,7 +2095,8 @@ Self.prototype._processJsonRPC = function (content, node, port) {
         })
     }
   } catch (e) {
-    return reject(e)
+    // The only thing that throws above is reading params that the caller did not supply
+    return reject(new RpcError(RpcError.INVALID_PARAMS, 'Invalid params', e.message))
   }
 }
 
@@ -908,63 +2106,63 @@ Self.prototype._processJsonRPC = function (content, node, port) {
 */
 
 Self.prototype.getBlocks = function (opts) {
-  return new Promise((resolve, reject) => {
-    const rpc = new TurtleCoind({
-      host: opts.host,
-      port: opts.port
-    })
-    this.blockCache.getBlocks({
-      height: opts.height
-    }).then((data) => {
-      return resolve(data)
-    }).catch(() => {
-      rpc.getBlocks({
+  return this._fetch(opts.host, opts.port, util.format('f_blocks_list_json%s', opts.height), () => {
+    return new Promise((resolve, reject) => {
+      this.blockCache.getBlocks({
         height: opts.height
       }).then((data) => {
         return resolve(data)
-      }).catch(() => { return reject(new Error('Failure encountered')) })
+      }).catch(() => {
+        this._rpc(opts.host, opts.port, (rpc) => {
+          return rpc.getBlocks({
+            height: opts.height
+          })
+        }).then((data) => {
+          return resolve(data)
+        }).catch(() => { return reject(new Error('Failure encountered')) })
+      })
     })
-  })
+  }, () => this._confirmedTtl('f_blocks_list_json', parseInt(opts.height)))
 }
 
 Self.prototype.getBlock = function (opts) {
-  return new Promise((resolve, reject) => {
-    const rpc = new TurtleCoind({
-      host: opts.host,
-      port: opts.port
-    })
-    this.blockCache.getBlock({
-      hash: opts.hash
-    }).then((data) => {
-      return resolve(data)
-    }).catch(() => {
-      rpc.getBlock({
+  return this._fetch(opts.host, opts.port, util.format('f_block_json%s', opts.hash), () => {
+    return new Promise((resolve, reject) => {
+      this.blockCache.getBlock({
         hash: opts.hash
       }).then((data) => {
         return resolve(data)
-      }).catch(() => { return reject(new Error('Failure encountered')) })
+      }).catch(() => {
+        this._rpc(opts.host, opts.port, (rpc) => {
+          return rpc.getBlock({
+            hash: opts.hash
+          })
+        }).then((data) => {
+          return resolve(data)
+        }).catch(() => { return reject(new Error('Failure encountered')) })
+      })
     })
-  })
+  }, (data) => this._confirmedTtl('f_block_json', heightOf(data)))
 }
 
 Self.prototype.getTransaction = function (opts) {
-  return new Promise((resolve, reject) => {
-    const rpc = new TurtleCoind({
-      host: opts.host,
-      port: opts.port
-    })
-    this.blockCache.getTransaction({
-      hash: opts.hash
-    }).then((data) => {
-      return resolve(data)
-    }).catch(() => {
-      rpc.getTransaction({
+  return this._fetch(opts.host, opts.port, util.format('f_transaction_json%s', opts.hash), () => {
+    return new Promise((resolve, reject) => {
+      this.blockCache.getTransaction({
         hash: opts.hash
       }).then((data) => {
         return resolve(data)
-      }).catch(() => { return reject(new Error('Failure encountered')) })
+      }).catch(() => {
+        this._rpc(opts.host, opts.port, (rpc) => {
+          return rpc.getTransaction({
+            hash: opts.hash
+          })
+        }).then((data) => {
+          return resolve(data)
+        }).catch(() => { return reject(new Error('Failure encountered')) })
+      })
     })
-  })
+  }, (data) => this._confirmedTtl('f_transaction_json', heightOf(data)))
 }
 
 Self.prototype.getTransactionHashesByPaymentId = function (opts) {
@@ -980,36 +2178,79 @@ Self.prototype.getTransactionHashesByPaymentId = function (opts) {
   })
 }
 
-Self.prototype.getTransactionPool = function (opts) {
-  const rpc = new TurtleCoind({
-    host: opts.host,
-    port: opts.port
+Self.prototype.getTransactionPool = function (opts) {
+  return this._fetch(opts.host, opts.port, 'f_on_transactions_pool_json', () => {
+    return this._rpc(opts.host, opts.port, (rpc) => rpc.getTransactionPool()).then((pool) => {
+      return {
+        status: 'OK',
+        transactions: pool
+      }
+    })
+  })
+}
+
+/*
+  The mempool of every node in the node pool, summed up, and the fees that
+  it takes to get mined soon given them and the recent blocks, which come
+  from the blockchain cache while it is in sync
+*/
+
+Self.prototype.getMempoolStats = function () {
+  return this._fetch(undefined, undefined, 'mempoolstats', () => {
+    return this._getMempools().then((answers) => this.mempool.stats(answers))
+  })
+}
+
+Self.prototype.getFeeRecommendation = function () {
+  return this._fetch(undefined, undefined, 'feerecommendation', () => {
+    return Promise.all([
+      this._getMempools(),
+      this._getRecentBlocks()
+    ]).then((results) => {
+      return this.mempool.recommend(results[0], results[1])
+    })
   })
-  return new Promise((resolve, reject) => {
-    var cache = this._get(rpc.host, rpc.port, 'f_on_transactions_pool_json')
-    if (cache) {
-      return resolve(cache)
-    }
-    rpc.getTransactionPool().then((pool) => {
-      var data = {
-        status: 'OK',
-        transactions: pool
+}
+
+Self.prototype._getMempools = function () {
+  return this.nodePool.broadcast((rpc) => rpc.getTransactionPool()).then((answers) => {
+    if (answers.every((answer) => answer.error)) throw new Error('No node answered with its mempool')
+    return answers.map((answer) => {
+      var mempool = { host: answer.node.host, port: answer.node.port }
+      if (answer.error) {
+        mempool.error = answer.error.message || util.format('%s', answer.error)
+      } else {
+        mempool.transactions = answer.result || []
       }
-      this._set(rpc.host, rpc.port, 'f_on_transactions_pool_json', data)
-      return resolve(data)
-    }).catch((err) => {
-      return reject(err)
+      return mempool
     })
   })
 }
 
-Self.prototype.getBlockCount = function (opts) {
-  return new Promise((resolve, reject) => {
-    const rpc = new TurtleCoind({
-      host: opts.host,
-      port: opts.port
+// The recentBlocks newest blocks, as f_block_json, looked up through the f_blocks_list_json windows that cover them
+
+Self.prototype._getRecentBlocks = function () {
+  return this.getBlockCount({}).then((data) => {
+    var tip = data.count - 1
+    var low = Math.max(tip - this.mempool.recentBlocks + 1, 0)
+    var windows = []
+    for (var height = tip; height >= low; height -= 30) windows.push(this.getBlocks({ height: height }))
+
+    return Promise.all(windows).then((lists) => {
+      var hashes = {}
+      lists.forEach((list) => {
+        var blocks = (Array.isArray(list)) ? list : (list && list.blocks) || []
+        blocks.filter((block) => block.height >= low && block.height <= tip).forEach((block) => {
+          hashes[block.height] = block.hash
+        })
+      })
+      return Promise.all(Object.keys(hashes).map((height) => this.getBlock({ hash: hashes[height] })))
     })
+  })
+}
 
+Self.prototype.getBlockCount = function (opts) {
+  return new Promise((resolve, reject) => {
     var networkHeight
     this._getHeight().then((data) => {
       networkHeight = data.network_height
@@ -1020,7 +2261,7 @@ Self.prototype.getBlockCount = function (opts) {
       }
       return resolve(block)
     }).catch(() => {
-      rpc.getBlockCount().then((data) => {
+      this._rpc(opts.host, opts.port, (rpc) => rpc.getBlockCount()).then((data) => {
         return resolve({
           count: data,
           status: 'OK'
@@ -1031,35 +2272,31 @@ Self.prototype.getBlockCount = function (opts) {
 }
 
 Self.prototype.getBlockHash = function (opts) {
-  return new Promise((resolve, reject) => {
-    const rpc = new TurtleCoind({
-      host: opts.host,
-      port: opts.port
-    })
-    this.blockCache.getBlockHash({
-      height: opts.height
-    }).then((data) => {
-      return resolve(data)
-    }).catch(() => {
-      rpc.getBlockHash({
+  return this._fetch(opts.host, opts.port, util.format('on_getblockhash%s', opts.height), () => {
+    return new Promise((resolve, reject) => {
+      this.blockCache.getBlockHash({
         height: opts.height
       }).then((data) => {
         return resolve(data)
-      }).catch(() => { return reject(new Error('Failure encountered')) })
+      }).catch(() => {
+        this._rpc(opts.host, opts.port, (rpc) => {
+          return rpc.getBlockHash({
+            height: opts.height
+          })
+        }).then((data) => {
+          return resolve(data)
+        }).catch(() => { return reject(new Error('Failure encountered')) })
+      })
     })
-  })
+  }, () => this._confirmedTtl('on_getblockhash', parseInt(opts.height)))
 }
 
 Self.prototype.getLastBlockHeader = function (opts) {
   return new Promise((resolve, reject) => {
-    const rpc = new TurtleCoind({
-      host: opts.host,
-      port: opts.port
-    })
     this.blockCache.getLastBlockHeader().then((data) => {
       return resolve(data)
     }).catch(() => {
-      rpc.getLastBlockHeader().then((data) => {
+      this._rpc(opts.host, opts.port, (rpc) => rpc.getLastBlockHeader()).then((data) => {
         return resolve(data)
       }).catch(() => { return reject(new Error('Failure encountered')) })
     })
@@ -1067,95 +2304,212 @@ Self.prototype.getLastBlockHeader = function (opts) {
 }
 
 Self.prototype.getBlockHeaderByHash = function (opts) {
-  return new Promise((resolve, reject) => {
-    const rpc = new TurtleCoind({
-      host: opts.host,
-      port: opts.port
-    })
-    this.blockCache.getBlockHeaderByHash({
-      hash: opts.hash
-    }).then((data) => {
-      return resolve(data)
-    }).catch(() => {
-      rpc.getBlockHeaderByHash({
+  return this._fetch(opts.host, opts.port, util.format('getblockheaderbyhash%s', opts.hash), () => {
+    return new Promise((resolve, reject) => {
+      this.blockCache.getBlockHeaderByHash({
         hash: opts.hash
       }).then((data) => {
         return resolve(data)
-      }).catch(() => { return reject(new Error('Failure encountered')) })
+      }).catch(() => {
+        this._rpc(opts.host, opts.port, (rpc) => {
+          return rpc.getBlockHeaderByHash({
+            hash: opts.hash
+          })
+        }).then((data) => {
+          return resolve(data)
+        }).catch(() => { return reject(new Error('Failure encountered')) })
+      })
     })
-  })
+  }, (data) => this._confirmedTtl('getblockheaderbyhash', heightOf(data)))
 }
 
 Self.prototype.getBlockHeaderByHeight = function (opts) {
-  return new Promise((resolve, reject) => {
-    const rpc = new TurtleCoind({
-      host: opts.host,
-      port: opts.port
-    })
-    this.blockCache.getBlockHeaderByHeight({
-      height: opts.height
-    }).then((data) => {
-      return resolve(data)
-    }).catch(() => {
-      rpc.getBlockHeaderByHeight({
+  return this._fetch(opts.host, opts.port, util.format('getblockheaderbyheight%s', opts.height), () => {
+    return new Promise((resolve, reject) => {
+      this.blockCache.getBlockHeaderByHeight({
         height: opts.height
       }).then((data) => {
         return resolve(data)
-      }).catch(() => { return reject(new Error('Failure encountered')) })
+      }).catch(() => {
+        this._rpc(opts.host, opts.port, (rpc) => {
+          return rpc.getBlockHeaderByHeight({
+            height: opts.height
+          })
+        }).then((data) => {
+          return resolve(data)
+        }).catch(() => { return reject(new Error('Failure encountered')) })
+      })
     })
-  })
+  }, () => this._confirmedTtl('getblockheaderbyheight', parseInt(opts.height)))
 }
 
 Self.prototype.getCurrencyId = function (opts) {
-  const rpc = new TurtleCoind({
-    host: opts.host,
-    port: opts.port
-  })
-  return new Promise((resolve, reject) => {
-    var cache = this._get(rpc.host, rpc.port, 'getcurrencyid')
-    if (cache) {
-      return resolve(cache)
-    }
-    rpc.getCurrencyId().then((currency) => {
-      var data = {
+  return this._fetch(opts.host, opts.port, 'getcurrencyid', () => {
+    return this._rpc(opts.host, opts.port, (rpc) => rpc.getCurrencyId()).then((currency) => {
+      return {
         currency_id_blob: currency
       }
-      this._set(rpc.host, rpc.port, 'getcurrencyid', data)
-      return resolve(data)
-    }).catch((err) => {
-      return reject(err)
     })
   })
 }
 
-Self.prototype.getBlockTemplate = function (opts) {
-  const rpc = new TurtleCoind({
-    host: opts.host,
-    port: opts.port
-  })
-  return rpc.getBlockTemplate({
-    reserveSize: opts.reserveSize,
-    walletAddress: opts.walletAddress
+/*
+  The ids of the nodes that templates may come from. A node that is on
+  the losing side of a fork, or whose height the consensus of the synced
+  nodes rejects as an outlier, could have the pool mining on a chain that
+  the network does not follow, so only the synced nodes that are left at
+  the highest height they report are picked from. Nodes that the fork
+  check does not cover are judged by their height alone
+*/
+
+Self.prototype._miningNodes = function () {
+  return this._getForks().then((forks) => {
+    var minority = []
+    if (forks && !forks.error && forks.forked) {
+      forks.partitions.slice(1).forEach((partition) => {
+        minority = minority.concat(partition.nodes)
+      })
+    }
+
+    var samples = this.nodePool.status().filter((node) => node.available && node.synced).map((node) => {
+      return { id: util.format('%s:%s', node.host, node.port), value: node.height }
+    }).filter((sample) => minority.indexOf(sample.id) === -1)
+    if (samples.length === 0) throw new Error('No synced node on the main chain is available')
+
+    var vote = this.miningConsensus.vote(samples)
+    samples = samples.filter((sample) => vote.outliers.indexOf(sample.id) === -1)
+    var highest = Math.max.apply(null, samples.map((sample) => sample.value))
+    return samples.filter((sample) => sample.value === highest).map((sample) => sample.id)
   })
 }
 
+/*
+  In mining gateway mode, calls that do not name a node are given a
+  template from one of the _miningNodes, which is shared by every caller
+  mining to the same address until the tip changes or it is
+  maxTemplateAge old, and found blocks are submitted to every healthy node
+  at once
+*/
+
+Self.prototype.getBlockTemplate = function (opts) {
+  const fetch = (rpc) => {
+    return rpc.getBlockTemplate({
+      reserveSize: opts.reserveSize,
+      walletAddress: opts.walletAddress
+    })
+  }
+  if (!this.miningEnabled || opts.host) return this._rpc(opts.host, opts.port, fetch)
+
+  var key = util.format('%s:%s', opts.walletAddress, opts.reserveSize)
+  var tip = (this.miningTip) ? this.miningTip.hash : undefined
+  var existing = this.templates.get(key)
+  if (existing && tip && existing.tip === tip && Date.now() - existing.created < this.maxTemplateAge) return existing.template
+
+  // Everyone who asks while the template is on its way shares it
+  var entry = { tip: tip, created: Date.now() }
+  entry.template = this._miningNodes().then((nodes) => {
+    return this._rpc(undefined, undefined, fetch, { nodes: nodes })
+  }).catch((err) => {
+    if (this.templates.get(key) === entry) this.templates.delete(key)
+    throw err
+  })
+  this.templates.set(key, entry)
+  return entry.template
+}
+
 Self.prototype.submitBlock = function (opts) {
-  const rpc = new TurtleCoind({
-    host: opts.host,
-    port: opts.port
+  const submit = (rpc) => {
+    return rpc.submitBlock({
+      blockBlob: opts.blockBlob
+    })
+  }
+  if (!this.miningEnabled || opts.host) return this._rpc(opts.host, opts.port, submit)
+
+  return this.nodePool.broadcast(submit).then((answers) => {
+    var results = answers.map((answer) => {
+      var result = {
+        host: answer.node.host,
+        port: answer.node.port,
+        accepted: !answer.error
+      }
+      if (answer.error) result.error = answer.error.message || util.format('%s', answer.error)
+      return result
+    })
+    var accepted = results.some((result) => result.accepted)
+
+    if (!accepted) {
+      this.emit('blockRejected', { results: results })
+      // The same code the daemon uses for a block that it did not accept
+      throw new RpcError(-7, 'Block not accepted', { results: results })
+    }
+
+    // The tip is about to move on, so the templates for the old one are of no use to anyone
+    this.templates.clear()
+    this.emit('blockFound', { results: results })
+    return {
+      status: 'OK',
+      results: results
+    }
   })
-  return rpc.submitBlock({
-    blockBlob: opts.blockBlob
+}
+
+/*
+  Relays the transaction to the requested node, or to relayTo of the
+  healthiest nodes in the node pool at once, and resolves what each of
+  them made of it. Transactions that any node accepted are followed until
+  they are mined or dropped. When there is no node to relay it to nothing
+  is recorded and we reject, the transaction was not turned down
+*/
+
+Self.prototype.sendRawTransaction = function (opts) {
+  const send = (rpc) => {
+    return rpc._rawPost('sendrawtransaction', { tx_as_hex: opts.blob }).catch((err) => {
+      // A node that turns the transaction down may answer with an error status and a reason
+      if (err && err.error && typeof err.error === 'object' && err.error.status) return err.error
+      throw err
+    })
+  }
+
+  var relay
+  if (opts.host) {
+    var target = this._rpcTarget(opts.host, opts.port)
+    relay = this._rpc(opts.host, opts.port, send).then((result) => {
+      return [{ node: target, result: result }]
+    }).catch((err) => {
+      return [{ node: target, error: err }]
+    })
+  } else {
+    relay = this.nodePool.broadcast(send, this.txTracker.relayTo)
+  }
+
+  return relay.then((answers) => {
+    if (answers.length === 0) throw new RpcError(-32000, 'Transaction not relayed', 'There is no node available to relay the transaction to')
+
+    var relays = answers.map((answer) => {
+      var result = answer.result || {}
+      var relayed = {
+        host: answer.node.host,
+        port: answer.node.port,
+        accepted: (result.status === 'OK')
+      }
+      if (!relayed.accepted) relayed.error = (answer.error) ? (answer.error.message || util.format('%s', answer.error)) : (result.error || result.status || 'No answer')
+      return relayed
+    })
+    var entry = this.txTracker.submitted(opts.hash, relays)
+    this.txTracker.track(entry)
+    return this._get(undefined, undefined, util.format('transactionstatus%s', entry.hash)).then((existing) => {
+      // Nodes turn down a transaction that is relayed again once it made it, which does not change what became of it
+      if (existing && entry.status === 'rejected') return
+      return this._setTransactionStatus(entry)
+    }).then(() => {
+      return entry
+    })
   })
 }
 
 Self.prototype._jsonRpc = function (opts) {
-  const rpc = new TurtleCoind({
-    host: opts.host,
-    port: opts.port
-  })
   return new Promise((resolve, reject) => {
-    rpc._post(opts.method, opts.params).then((data) => {
+    this._rpc(opts.host, opts.port, (rpc) => rpc._post(opts.method, opts.params)).then((data) => {
       return resolve(data)
     }).catch((err) => {
       return reject(err)
@@ -1163,43 +2517,143 @@ Self.prototype._jsonRpc = function (opts) {
   })
 }
 
+/*
+  Wallet Sync Functions that answer the same requests as the daemon. Ranges
+  that are confirmed never change so they are cached forever and shared by
+  every wallet that syncs through them
+*/
+
+Self.prototype.getWalletSyncData = function (opts) {
+  return this._walletSyncStart(opts).then((start) => {
+    // Wallets that we can not place on our chain, and first syncs by timestamp, are left to the daemon
+    if (start === undefined) return this._walletSyncDirect(opts)
+    return this._walletSyncBatch(this.walletSync.batchStart(start), opts.skipCoinbaseTransactions).then((batch) => {
+      var data = this.walletSync.slice(batch, start, opts.blockCount)
+      if (data.items.length !== 0 || data.synced) return data
+      // The daemon sent a shorter batch than we asked for, ask it for the rest directly
+      return this._walletSyncDirect(Object.assign({}, opts, { startHeight: start, checkpoints: [] }))
+    })
+  })
+}
+
+/*
+  The height a getwalletsyncdata request starts at, the block after the
+  newest checkpoint when that is in our chain, or undefined if we can not
+  tell without asking the daemon
+*/
+
+Self.prototype._walletSyncStart = function (opts) {
+  var checkpoint = opts.checkpoints[0]
+  if (!checkpoint) return Promise.resolve((opts.startTimestamp !== 0) ? undefined : opts.startHeight)
+  return this.getBlockHeaderByHash({ hash: checkpoint }).then((header) => {
+    if (!header || header.hash !== checkpoint || header.orphan_status || typeof header.height !== 'number') return undefined
+    return Math.max(opts.startHeight, header.height + 1)
+  }).catch(() => {
+    return undefined
+  })
+}
+
+Self.prototype._walletSyncBatch = function (start, skipCoinbaseTransactions) {
+  var body = {
+    startHeight: start,
+    startTimestamp: 0,
+    blockHashCheckpoints: [],
+    skipCoinbaseTransactions: skipCoinbaseTransactions,
+    blockCount: this.walletSync.batchSize
+  }
+  return this._fetch(undefined, undefined, util.format('getwalletsyncdata%s%s', start, (skipCoinbaseTransactions) ? 'nocoinbase' : ''), () => {
+    return fromBlockCache(this.blockCache, 'getWalletSyncData', body).then(checkStatus).then((data) => {
+      // The blockchain cache may not have caught up with the whole batch yet
+      if (!Array.isArray(data.items) || data.items.length !== body.blockCount) throw new Error('Incomplete batch')
+      return data
+    }).catch(() => {
+      return this._rpc(undefined, undefined, (rpc) => rpc._rawPost('getwalletsyncdata', body)).then(checkStatus)
+    })
+  }, (data) => this._confirmedTtl('getwalletsyncdata', lastSyncHeight(data.items)))
+}
+
+Self.prototype._walletSyncDirect = function (opts) {
+  return this._rpc(undefined, undefined, (rpc) => {
+    return rpc._rawPost('getwalletsyncdata', {
+      startHeight: opts.startHeight,
+      startTimestamp: opts.startTimestamp,
+      blockHashCheckpoints: opts.checkpoints,
+      skipCoinbaseTransactions: opts.skipCoinbaseTransactions,
+      blockCount: opts.blockCount
+    })
+  }).then(checkStatus).then((data) => {
+    return this.walletSync.slice(data, 0, opts.blockCount)
+  })
+}
+
+Self.prototype.queryBlocksLite = function (opts) {
+  var key = crypto.createHash('sha256').update(JSON.stringify([opts.blockIds, opts.timestamp])).digest('hex')
+  return this._fetch(undefined, undefined, util.format('queryblockslite%s', key), () => {
+    return this._rpc(undefined, undefined, (rpc) => {
+      return rpc._rawPost('queryblockslite', {
+        blockIds: opts.blockIds,
+        timestamp: opts.timestamp
+      })
+    }).then(checkStatus).then((data) => this.walletSync.limitBlocksLite(data))
+  }, (data) => {
+    var items = (Array.isArray(data.items)) ? data.items.length : 0
+    return this._confirmedTtl('queryblockslite', (items !== 0) ? data.startHeight + items - 1 : undefined)
+  }).then((data) => {
+    // An answer that we cached a while ago still tells the wallet how far the chain has come since
+    return Object.assign({}, data, { currentHeight: Math.max(data.currentHeight || 0, this.nodePool.networkHeight || 0) })
+  })
+}
+
+Self.prototype.getGlobalIndexesForRange = function (opts) {
+  return this._fetch(undefined, undefined, util.format('get_global_indexes_for_range%s-%s', opts.startHeight, opts.endHeight), () => {
+    return fromBlockCache(this.blockCache, 'getBlockCount').then((block) => {
+      // The blockchain cache may not have caught up with the range yet
+      if (block.count <= opts.endHeight) throw new Error('The blockchain cache is behind')
+      return fromBlockCache(this.blockCache, 'getGlobalIndexesForRange', opts)
+    }).then((data) => {
+      return (Array.isArray(data)) ? { indexes: data, status: 'OK' } : checkStatus(data)
+    }).catch(() => {
+      return this._rpc(undefined, undefined, (rpc) => rpc._rawPost('get_global_indexes_for_range', opts)).then(checkStatus)
+    })
+  }, () => this._confirmedTtl('get_global_indexes_for_range', opts.endHeight))
+}
+
 /*
   Begin custom JSON HTTP API Commands
 */
 
 Self.prototype._getGlobalHeight = function () {
   return new Promise((resolve, reject) => {
-    var ttl = Math.round(targetBlockTime / 3)
-    var cache = this._get('network', 'network', 'globalheight', ttl)
-    if (cache) {
-      cache.cached = true
-      return resolve(cache)
-    }
-    var promises = []
-    for (var i = 0; i < this.seeds.length; i++) {
-      var node = this.seeds[i]
-      promises.push(this._getHeight(node.host, node.port))
-    }
-    Promise.all(promises).then((results) => {
-      var heights = []
-      for (var j = 0; j < results.length; j++) {
-        if (!results[j].height) continue
-        var height = results[j].height
-        heights.push(height)
+    this._fetch('network', 'network', 'globalheight', () => {
+      var nodes = this.seeds
+      var promises = []
+      for (var i = 0; i < nodes.length; i++) {
+        var node = nodes[i]
+        promises.push(this._getHeight(node.host, node.port))
       }
-      var voter = voteValue(heights)
-      var data = {
-        max: maxValue(heights),
-        min: minValue(heights),
-        avg: avgValue(heights),
-        med: medValue(heights),
-        cnt: results.length,
-        ans: heights.length,
-        con: voter.confidence,
-        win: voter.value,
-        cached: false
-      }
-      this._set('network', 'network', 'globalheight', data)
+      return Promise.all(promises).then((results) => {
+        var heights = []
+        var samples = []
+        for (var j = 0; j < results.length; j++) {
+          if (!results[j].height) continue
+          var height = results[j].height
+          heights.push(height)
+          samples.push({ id: util.format('%s:%s', nodes[j].host, nodes[j].port), value: height, trust: nodes[j].trust })
+        }
+        var consensus = this.heightConsensus.vote(samples)
+        return {
+          max: maxValue(heights),
+          min: minValue(heights),
+          avg: avgValue(heights),
+          med: medValue(heights),
+          cnt: results.length,
+          ans: heights.length,
+          con: consensus.confidence,
+          win: consensus.value,
+          dissenters: consensus.dissenters
+        }
+      })
+    }).then((data) => {
       return resolve(data)
     }).catch((err) => {
       return resolve({ error: err })
@@ -1209,37 +2663,48 @@ Self.prototype._getGlobalHeight = function () {
 
 Self.prototype._getGlobalDifficulty = function () {
   return new Promise((resolve, reject) => {
-    var ttl = Math.round(targetBlockTime / 3)
-    var cache = this._get('network', 'network', 'globaldifficulty', ttl)
-    if (cache) {
-      cache.cached = true
-      return resolve(cache)
-    }
-    var promises = []
-    for (var i = 0; i < this.seeds.length; i++) {
-      var node = this.seeds[i]
-      promises.push(this._getInfo(node.host, node.port))
-    }
-    Promise.all(promises).then((results) => {
-      var diffs = []
-      for (var j = 0; j < results.length; j++) {
-        if (!results[j].difficulty) continue
-        var difficulty = results[j].difficulty
-        diffs.push(difficulty)
-      }
-      var voter = voteValue(diffs)
-      var data = {
-        max: maxValue(diffs),
-        min: minValue(diffs),
-        avg: avgValue(diffs),
-        med: medValue(diffs),
-        cnt: results.length,
-        ans: diffs.length,
-        con: voter.confidence,
-        win: voter.value,
-        cached: false
+    this._fetch('network', 'network', 'globaldifficulty', () => {
+      var nodes = this.seeds
+      var promises = []
+      for (var i = 0; i < nodes.length; i++) {
+        var node = nodes[i]
+        promises.push(this._getInfo(node.host, node.port))
       }
-      this._set('network', 'network', 'globaldifficulty', data)
+      return Promise.all(promises).then((results) => {
+        var diffs = []
+        var samples = []
+        for (var j = 0; j < results.length; j++) {
+          if (!results[j].difficulty) continue
+          var difficulty = results[j].difficulty
+          diffs.push(difficulty)
+          samples.push({ id: util.format('%s:%s', nodes[j].host, nodes[j].port), value: difficulty, trust: nodes[j].trust })
+        }
+        var consensus = this.difficultyConsensus.vote(samples)
+        return {
+          max: maxValue(diffs),
+          min: minValue(diffs),
+          avg: avgValue(diffs),
+          med: medValue(diffs),
+          cnt: results.length,
+          ans: diffs.length,
+          con: consensus.confidence,
+          win: consensus.value,
+          dissenters: consensus.dissenters
+        }
+      })
+    }).then((data) => {
+      return resolve(data)
+    }).catch((err) => {
+      return resolve({ error: err })
+    })
+  })
+}
+
+Self.prototype._getForks = function () {
+  return new Promise((resolve, reject) => {
+    this._fetch('network', 'network', 'forks', () => {
+      return this.forkDetector.check(this.seeds)
+    }).then((data) => {
       return resolve(data)
     }).catch((err) => {
       return resolve({ error: err })
@@ -1249,37 +2714,35 @@ Self.prototype._getGlobalDifficulty = function () {
 
 Self.prototype._getGlobalPoolHeight = function () {
   return new Promise((resolve, reject) => {
-    var ttl = Math.round(targetBlockTime / 3)
-    var cache = this._get('pool', 'pool', 'globalpoolheight', ttl)
-    if (cache) {
-      cache.cached = true
-      return resolve(cache)
-    }
-    var promises = []
-    for (var i = 0; i < this.pools.length; i++) {
-      var node = this.pools[i]
-      var url = node.url
-      promises.push(this._getPoolNetworkInfo(url))
-    }
-    Promise.all(promises).then((results) => {
-      var heights = []
-      for (var j = 0; j < results.length; j++) {
-        if (!results[j].height) continue
-        var height = results[j].height
-        heights.push(height)
-      }
-      var voter = voteValue(heights)
-      var data = {
-        max: maxValue(heights),
-        min: minValue(heights),
-        avg: avgValue(heights),
-        med: medValue(heights),
-        cnt: heights.length,
-        con: voter.confidence,
-        win: voter.value,
-        cached: false
+    this._fetch('pool', 'pool', 'globalpoolheight', () => {
+      var nodes = this.pools
+      var promises = []
+      for (var i = 0; i < nodes.length; i++) {
+        var node = nodes[i]
+        promises.push(this._getPoolNetworkInfo(node))
       }
-      this._set('pool', 'pool', 'globalpoolheight', data)
+      return Promise.all(promises).then((results) => {
+        var heights = []
+        var samples = []
+        for (var j = 0; j < results.length; j++) {
+          if (!results[j].height) continue
+          var height = results[j].height
+          heights.push(height)
+          samples.push({ id: nodes[j].name, value: height, trust: nodes[j].trust })
+        }
+        var consensus = this.heightConsensus.vote(samples)
+        return {
+          max: maxValue(heights),
+          min: minValue(heights),
+          avg: avgValue(heights),
+          med: medValue(heights),
+          cnt: heights.length,
+          con: consensus.confidence,
+          win: consensus.value,
+          dissenters: consensus.dissenters
+        }
+      })
+    }).then((data) => {
       return resolve(data)
     }).catch((err) => {
       return resolve({ error: err })
@@ -1289,37 +2752,35 @@ Self.prototype._getGlobalPoolHeight = function () {
 
 Self.prototype._getGlobalPoolDifficulty = function () {
   return new Promise((resolve, reject) => {
-    var ttl = Math.round(targetBlockTime / 3)
-    var cache = this._get('pool', 'pool', 'globalpooldifficulty', ttl)
-    if (cache) {
-      cache.cached = true
-      return resolve(cache)
-    }
-    var promises = []
-    for (var i = 0; i < this.pools.length; i++) {
-      var node = this.pools[i]
-      var url = node.url
-      promises.push(this._getPoolNetworkInfo(url))
-    }
-    Promise.all(promises).then((results) => {
-      var diffs = []
-      for (var j = 0; j < results.length; j++) {
-        if (!results[j].difficulty) continue
-        var difficulty = results[j].difficulty
-        diffs.push(difficulty)
+    this._fetch('pool', 'pool', 'globalpooldifficulty', () => {
+      var nodes = this.pools
+      var promises = []
+      for (var i = 0; i < nodes.length; i++) {
+        var node = nodes[i]
+        promises.push(this._getPoolNetworkInfo(node))
       }
-      var voter = voteValue(diffs)
-      var data = {
-        max: maxValue(diffs),
-        min: minValue(diffs),
-        avg: avgValue(diffs),
-        med: medValue(diffs),
-        cnt: diffs.length,
-        con: voter.confidence,
-        win: voter.value,
-        cached: false
-      }
-      this._set('pool', 'pool', 'globalpooldifficulty', data)
+      return Promise.all(promises).then((results) => {
+        var diffs = []
+        var samples = []
+        for (var j = 0; j < results.length; j++) {
+          if (!results[j].difficulty) continue
+          var difficulty = results[j].difficulty
+          diffs.push(difficulty)
+          samples.push({ id: nodes[j].name, value: difficulty, trust: nodes[j].trust })
+        }
+        var consensus = this.difficultyConsensus.vote(samples)
+        return {
+          max: maxValue(diffs),
+          min: minValue(diffs),
+          avg: avgValue(diffs),
+          med: medValue(diffs),
+          cnt: diffs.length,
+          con: consensus.confidence,
+          win: consensus.value,
+          dissenters: consensus.dissenters
+        }
+      })
+    }).then((data) => {
       return resolve(data)
     }).catch((err) => {
       return resolve({ error: err })
@@ -1327,67 +2788,263 @@ Self.prototype._getGlobalPoolDifficulty = function () {
   })
 }
 
-Self.prototype._getPoolNetworkInfo = function (url) {
-  return new Promise((resolve, reject) => {
-    var cache = this._get('pool', url, 'networkInfo')
-    if (cache) {
-      cache.cached = true
-      return resolve(cache)
-    }
-    Request({
+Self.prototype._getPoolNetworkInfo = function (pool) {
+  const fetchJson = (url) => {
+    return Request({
       method: 'GET',
       uri: url,
       json: true,
       timeout: this.timeout
+    })
+  }
+
+  return new Promise((resolve, reject) => {
+    this._fetch('pool', pool.url, 'networkInfo', () => {
+      var start = Date.now()
+      return fetchJson(pool.url).then((data) => {
+        var adapter = (pool.type) ? this.poolAdapters.get(pool.type) : this.poolAdapters.detect(data)
+        if (!adapter) throw new Error('Invalid data returned by remote host')
+        var related = (adapter.related) ? adapter.related(pool.url) : []
+        return Promise.all(related.map(fetchJson)).then((responses) => {
+          var info = adapter.normalize([data].concat(responses))
+          info.adapter = adapter.name
+          this.poolMonitor.record(pool.name, { ok: true, responseTime: Date.now() - start, height: info.height })
+          return info
+        })
+      }).catch((err) => {
+        this.poolMonitor.record(pool.name, { ok: false, responseTime: Date.now() - start, error: err.message || err.toString() })
+        if (this.metrics) this.metrics.inc('pool_fetch_failures_total', { pool: pool.name })
+        throw err
+      })
     }).then((data) => {
-      if (!data.network) return resolve({ error: 'Invalid data returned by remote host' })
-      this._set('pool', url, 'networkInfo')
-      return resolve(data.network)
+      return resolve(data)
     }).catch((err) => {
       return resolve({ error: err })
     })
   })
 }
 
-Self.prototype._getPoolList = function () {
+/*
+  The latest stats of every pool along with its share of the network hashrate,
+  how it has been answering over the monitor window and whether it is stuck
+  or reporting a height that disagrees with the network consensus
+*/
+
+Self.prototype._getPoolStatus = function () {
   return new Promise((resolve, reject) => {
-    var pools = []
-    Request({
-      method: 'GET',
-      uri: poolList,
-      json: true
-    }).then((data) => {
-      Object.keys(data).forEach((elem) => {
-        pools.push({
-          name: elem,
-          url: util.format('%sstats', data[elem].url)
-        })
+    this._fetch('pool', 'pool', 'poolstatus', () => {
+      var pools = this.pools
+      return Promise.all([
+        this._getInfo(),
+        this._getGlobalHeight(),
+        Promise.all(pools.map((pool) => this._getPoolNetworkInfo(pool)))
+      ]).then((results) => {
+        var globalHashRate = results[0].globalHashRate || null
+        var networkHeight = results[1].win || null
+        return {
+          networkHeight: networkHeight,
+          globalHashRate: globalHashRate,
+          window: this.poolMonitor.window,
+          pools: pools.map((pool, index) => {
+            var info = results[2][index]
+            var monitor = this.poolMonitor.status(pool.name)
+            var height = info.height || null
+            var hashrate = (typeof info.hashrate === 'number') ? info.hashrate : null
+            return {
+              name: pool.name,
+              url: pool.url,
+              adapter: info.adapter || null,
+              online: !info.error,
+              height: height,
+              difficulty: info.difficulty || null,
+              hashrate: hashrate,
+              hashrateShare: (hashrate !== null && globalHashRate) ? Math.round(hashrate / globalHashRate * 10000) / 10000 : null,
+              miners: (typeof info.miners === 'number') ? info.miners : null,
+              lastBlockFound: info.lastBlockFound || null,
+              responseTime: monitor.responseTime,
+              lastResponseTime: monitor.lastResponseTime,
+              uptime: monitor.uptime,
+              checks: monitor.checks,
+              lastSeen: monitor.lastSeen,
+              lastError: (info.error) ? monitor.lastError : null,
+              stuck: monitor.stuck,
+              offConsensus: (height !== null && networkHeight !== null && Math.abs(height - networkHeight) > this.heightConsensus.tolerance)
+            }
+          })
+        }
       })
-      return resolve(pools)
+    }).then((data) => {
+      return resolve(data)
     }).catch((err) => {
-      return reject(err)
+      return resolve({ error: err })
     })
   })
 }
 
+// Sets up the response cache that _get and _set use
+
+Self.prototype._setupCache = function (adapter) {
+  if (adapter) {
+    this.cache = adapter
+  } else if (this.cacheEngine === 'redis') {
+    this.cache = new RedisCache({
+      host: this.cacheHost,
+      port: this.cachePort,
+      password: this.cachePassword,
+      db: this.cacheDb,
+      prefix: this.cachePrefix,
+      cacheTimeout: this.cacheTimeout,
+      timeout: this.timeout
+    })
+  } else {
+    this.cache = new MemoryCache({
+      cacheTimeout: this.cacheTimeout,
+      foreverTimeout: this.cacheForeverTimeout
+    })
+  }
+  if (typeof this.cache.on === 'function') {
+    this.cache.on('error', (err) => {
+      this.emit('error', util.format('[CACHE] %s', err))
+    })
+  }
+}
+
 // Sets up the blockchain cache database stuff
 
+/*
+  We can serve when the blockchain cache database is ready and within maxDeviance
+  blocks of the network, at least one seed answered the last global height poll
+  and we have pools to report on
+*/
+
+Self.prototype._getReadiness = function () {
+  return this._getGlobalHeight().then((global) => {
+    var checks = []
+
+    var seeds = { name: 'seeds', ok: !global.error && global.ans > 0, answered: global.ans || 0, polled: global.cnt || 0 }
+    if (!seeds.ok) seeds.reason = 'No seed answered the last global height poll'
+    checks.push(seeds)
+
+    var pools = { name: 'pools', ok: this.pools.length !== 0, count: this.pools.length }
+    if (!pools.ok) pools.reason = 'The pool list is empty'
+    checks.push(pools)
+
+    var blockCache = { name: 'blockCache', ok: false, height: null, networkHeight: (seeds.ok) ? global.win : null }
+    checks.push(blockCache)
+    if (!this.blockCacheReady) {
+      blockCache.reason = 'The blockchain cache database is not ready'
+      return checks
+    }
+    return timeoutAfter(this.blockCache.getBlockCount(), this.timeout).then((block) => {
+      blockCache.height = block.count
+      if (!seeds.ok) {
+        blockCache.reason = 'The network height is unknown'
+      } else if (Math.abs(global.win - block.count) > this.maxDeviance) {
+        blockCache.reason = util.format('The blockchain cache database is %s blocks away from the network, at most %s are allowed', Math.abs(global.win - block.count), this.maxDeviance)
+      } else {
+        blockCache.ok = true
+      }
+      return checks
+    }).catch((err) => {
+      blockCache.reason = util.format('Could not read the blockchain cache database: %s', err.message || err)
+      return checks
+    })
+  }).then((checks) => {
+    return {
+      ready: checks.every((check) => check.ok),
+      checks: checks
+    }
+  })
+}
+
+Self.prototype._setupMetrics = function (opts) {
+  opts = Object.assign({
+    enabled: true,
+    aggregate: (process.env.exec_mode === 'cluster_mode'),
+    directory: path.join(os.tmpdir(), util.format('%s-metrics', process.env.name || 'turtlecoin-api-proxy'))
+  }, opts)
+  if (!opts.enabled) {
+    this.metrics = false
+    return
+  }
+
+  this.metrics = new Metrics(opts)
+  this.metrics.counter('http_requests_total', 'HTTP requests answered by route and status')
+  this.metrics.histogram('http_request_duration_seconds', 'Time taken to answer HTTP requests by route')
+  this.metrics.counter('cache_hits_total', 'Cache lookups answered with a fresh value')
+  this.metrics.counter('cache_stale_total', 'Cache lookups answered with a stale value while it is refreshed')
+  this.metrics.counter('cache_misses_total', 'Cache lookups that had to wait for an upstream fetch')
+  this.metrics.gauge('cache_keys', 'Keys held in the in-process cache', 'sum')
+  this.metrics.counter('upstream_requests_total', 'Calls made to TurtleCoind nodes by node and result')
+  this.metrics.histogram('upstream_request_duration_seconds', 'Time taken by TurtleCoind nodes to answer by node')
+  this.metrics.counter('pool_fetch_failures_total', 'Failed fetches of pool stats by pool')
+  this.metrics.counter('rate_limited_total', 'Requests refused for exceeding a rate limit by tier and budget')
+  this.metrics.gauge('consensus_height', 'The global height agreed on by the seeds', 'local')
+  this.metrics.gauge('consensus_height_confidence', 'The share of weight behind the global height', 'local')
+  this.metrics.gauge('consensus_height_nodes', 'The seeds that reported a height', 'local')
+  this.metrics.gauge('consensus_difficulty', 'The global difficulty agreed on by the seeds', 'local')
+  this.metrics.gauge('consensus_difficulty_confidence', 'The share of weight behind the global difficulty', 'local')
+  this.metrics.gauge('consensus_difficulty_nodes', 'The seeds that reported a difficulty', 'local')
+  this.metrics.gauge('feed_clients', 'Clients connected to the live feed over WebSockets or Server-Sent Events', 'sum')
+  this.metrics.gauge('block_cache_height', 'The number of blocks in the blockchain cache database')
+  this.metrics.gauge('block_cache_ready', 'Whether the blockchain cache database is ready', 'local')
+  this.metrics.gauge('network_height', 'The median height reported by the healthy nodes of the node pool')
+
+  this.metrics.collect(() => {
+    if (typeof this.cache.stats !== 'function') return
+    return this.cache.stats().then((stats) => {
+      this.metrics.set('cache_keys', {}, stats.keys)
+    })
+  })
+  this.metrics.collect(() => {
+    return Promise.all([this._getGlobalHeight(), this._getGlobalDifficulty()]).then((results) => {
+      ['height', 'difficulty'].forEach((name, index) => {
+        if (results[index].error) return
+        this.metrics.set(util.format('consensus_%s', name), {}, results[index].win)
+        this.metrics.set(util.format('consensus_%s_confidence', name), {}, results[index].con)
+        this.metrics.set(util.format('consensus_%s_nodes', name), {}, results[index].ans)
+      })
+    })
+  })
+  this.metrics.collect(() => {
+    this.metrics.set('feed_clients', {}, this.feedSocket.clients.size + this.feedStream.clients.size)
+    this.metrics.set('block_cache_ready', {}, (this.blockCacheReady) ? 1 : 0)
+    this.metrics.set('network_height', {}, this.nodePool.networkHeight)
+    return this.blockCache.getBlockCount().then((block) => {
+      this.metrics.set('block_cache_height', {}, block.count)
+    })
+  })
+}
+
+Self.prototype._countCache = function (result) {
+  if (!this.metrics) return
+  switch (result) {
+    case 'hit':
+      return this.metrics.inc('cache_hits_total')
+    case 'stale':
+      return this.metrics.inc('cache_stale_total')
+    default:
+      return this.metrics.inc('cache_misses_total')
+  }
+}
+
+// Nodes other than our default node and seeds are reported together to keep the number of series bounded
+
+Self.prototype._observeUpstream = function (rpc, start, result) {
+  if (!this.metrics) return
+  var id = util.format('%s:%s', rpc.host, rpc.port)
+  var known = [{ host: this.defaultHost, port: this.defaultPort }].concat(this.seeds).some((node) => {
+    return util.format('%s:%s', node.host, node.port) === id
+  })
+  var labels = { node: (known) ? id : 'other' }
+  this.metrics.inc('upstream_requests_total', Object.assign({}, labels, { result: result }))
+  this.metrics.observe('upstream_request_duration_seconds', labels, elapsedSeconds(start))
+}
+
 Self.prototype._setupBlockChainCache = function () {
   this.blockCacheReady = false
-  this.blockCache = new BlockChainCache({
-    rpcHost: this.defaultHost,
-    rpcPort: this.defaultPort,
-    updateInterval: this.updateInterval,
-    dbEngine: this.dbEngine,
-    dbFolder: this.dbFolder,
-    dbFile: this.dbFile,
-    dbHost: this.dbHost,
-    dbUser: this.dbUser,
-    dbPassword: this.dbPassword,
-    dbDatabase: this.dbDatabase,
-    timeout: this.dbCacheQueryTimeout,
-    autoStartUpdater: this.autoStartUpdater
-  })
+  this.blockCacheStopped = false
+  this.blockCache = new BlockChainCache(Config.blockCacheOptions(this))
   this.blockCache.on('error', (err) => {
     this.emit('error', util.format('[CACHE] %s', err))
   })
@@ -1403,12 +3060,108 @@ Self.prototype._setupBlockChainCache = function () {
   Helper functions
 */
 
+// The methods called by a JSON-RPC request, single or batch
+
+function jsonRpcMethods (request) {
+  if (request.method !== 'POST' || !request.path.endsWith('/json_rpc')) return []
+  var calls = (Array.isArray(request.body)) ? request.body : [request.body]
+  return calls.filter((call) => call && typeof call.method === 'string').map((call) => call.method)
+}
+
 function parseInteger (str) {
   var a = parseInt(str)
   if (a.toString().length === str.length) return a
   return undefined
 }
 
+function isValidJsonRPCId (id) {
+  return (id === null || typeof id === 'string' || typeof id === 'number')
+}
+
+function isValidJsonRPCRequest (content) {
+  if (!content || typeof content !== 'object' || Array.isArray(content)) return false
+  if (content.jsonrpc !== undefined && content.jsonrpc !== '2.0') return false
+  if (typeof content.method !== 'string' || content.method.length === 0) return false
+  if (content.params !== undefined && (content.params === null || typeof content.params !== 'object')) return false
+  if (content.id !== undefined && !isValidJsonRPCId(content.id)) return false
+  return true
+}
+
+function heightOf (value) {
+  if (!value || typeof value !== 'object') return undefined
+  if (Array.isArray(value)) {
+    var heights = value.map(heightOf).filter((height) => height !== undefined)
+    return (heights.length !== 0) ? maxValue(heights) : undefined
+  }
+  if (typeof value.height === 'number') return value.height
+  if (value.block && typeof value.block.height === 'number') return value.block.height
+  if (value.block_header && typeof value.block_header.height === 'number') return value.block_header.height
+  return undefined
+}
+
+function listDiff (before, after) {
+  return {
+    added: after.filter((item) => before.indexOf(item) === -1),
+    removed: before.filter((item) => after.indexOf(item) === -1)
+  }
+}
+
+function elapsedSeconds (start) {
+  var elapsed = process.hrtime(start)
+  return elapsed[0] + elapsed[1] / 1e9
+}
+
+function timeoutAfter (promise, ms) {
+  return new Promise((resolve, reject) => {
+    var timer = setTimeout(() => {
+      return reject(new Error(util.format('Timed out after %sms', ms)))
+    }, ms)
+    promise.then((value) => {
+      clearTimeout(timer)
+      return resolve(value)
+    }).catch((err) => {
+      clearTimeout(timer)
+      return reject(err)
+    })
+  })
+}
+
+// The blockchain cache only answers the calls that the version of it we have installed supports
+
+function fromBlockCache (blockCache, method, opts) {
+  if (typeof blockCache[method] !== 'function') return Promise.reject(new Error(util.format('The blockchain cache does not support %s', method)))
+  return blockCache[method](opts)
+}
+
+// The wallet sync calls answer with a status that is only OK when they worked
+
+function checkStatus (data) {
+  if (!data || data.status !== 'OK') throw new Error(util.format('Unexpected status: %s', (data) ? data.status : data))
+  return data
+}
+
+function lastSyncHeight (items) {
+  if (!Array.isArray(items) || items.length === 0) return undefined
+  return items[items.length - 1].blockHeight
+}
+
+// A copy of value that knows how it came out of the cache, shared answers are never changed
+
+function markCached (value, method, state) {
+  if (!value || typeof value !== 'object') return value
+  var marked = (Array.isArray(value)) ? value.slice() : Object.assign({}, value)
+  if (!Array.isArray(value) && cacheFlaggedMethods.indexOf(method) !== -1) {
+    marked.cached = (state !== 'MISS')
+    if (state === 'STALE') marked.stale = true
+  }
+  marked[cacheState] = state
+  return marked
+}
+
+function cacheStateOf (value) {
+  return (value && typeof value === 'object') ? value[cacheState] : undefined
+}
+
 function maxValue (arr) {
   return arr.reduce((a, b) => {
     return Math.max(a, b)
@@ -1434,22 +3187,4 @@ function medValue (arr) {
   return (arr[(arr.length - 1) >> 1] + arr[arr.length >> 1]) / 2
 }
 
-function voteValue (arr) {
-  if (arr.length === 0) return { value: 0, confidence: 1 }
-  var tallies = {}
-  for (var i = 0; i < arr.length; i++) {
-    var val = arr[i]
-    if (!tallies[val]) tallies[val] = { value: val, tally: 0 }
-    tallies[val].tally++
-  }
-  var votes = []
-  for (var elem in tallies) {
-    votes.push(tallies[elem])
-  }
-  votes = votes.sort((a, b) => b.value - a.value)
-  var winner = votes[0]
-  winner.confidence = winner.tally / arr.length
-  return { value: winner.value, confidence: winner.confidence }
-}
-
 module.exports = Self
@@ -0,0 +1,237 @@
+// Copyright (c) 2018, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const util = require('util')
+
+const createTable = [
+  'CREATE TABLE IF NOT EXISTS api_keys (',
+  'api_key VARCHAR(64) NOT NULL PRIMARY KEY,',
+  'tier VARCHAR(32) NOT NULL,',
+  'label VARCHAR(255),',
+  'created BIGINT NOT NULL)'
+].join(' ')
+
+/*
+  Keeps API keys in an api_keys table of the same database as the blockchain
+  cache, sqlite or mysql, which is created the first time it is needed. We
+  only connect once a key that we do not know is presented, and remember
+  the answer, including keys that do not exist, for keyCacheTimeout. At
+  most maxKnownKeys answers are remembered, the least recently used are
+  forgotten first, so that made up keys can not fill up our memory
+*/
+
+function Self (opts) {
+  opts = opts || {}
+  if (!(this instanceof Self)) return new Self(opts)
+  this.dbEngine = opts.dbEngine || 'sqlite'
+  this.dbFolder = opts.dbFolder || 'db'
+  this.dbFile = opts.dbFile || 'turtlecoin'
+  this.dbHost = opts.dbHost || '127.0.0.1'
+  this.dbPort = opts.dbPort || 3306
+  this.dbUser = opts.dbUser || 'turtlecoin'
+  this.dbPassword = opts.dbPassword || 'turtlecoin'
+  this.dbDatabase = opts.dbDatabase || 'turtlecoin'
+  this.dbConnectionLimit = opts.dbConnectionLimit || 10
+  this.keyCacheTimeout = (opts.keyCacheTimeout !== undefined) ? opts.keyCacheTimeout : 60000
+  this.maxKnownKeys = opts.maxKnownKeys || 10000
+  this.known = new Map()
+  this.nextSweep = 0
+  this.db = null
+  this.connecting = null
+
+  if (['sqlite', 'mysql'].indexOf(this.dbEngine) === -1) throw new Error(util.format('Unsupported database engine for API keys: %s', this.dbEngine))
+}
+
+// Resolves { key, tier, label, created } or undefined if there is no such key
+
+Self.prototype.lookup = function (key) {
+  var known = this.cached(key)
+  if (known) return Promise.resolve(known.entry)
+  // The column does not hold anything longer
+  if (key.length > 64) return Promise.resolve(undefined)
+
+  return this._query('SELECT api_key, tier, label, created FROM api_keys WHERE api_key = ?', [key]).then((rows) => {
+    var entry = (rows.length !== 0) ? toEntry(rows[0]) : undefined
+    this._remember(key, entry)
+    return entry
+  })
+}
+
+// The remembered answer for key as { entry }, or undefined if we would have to ask the database
+
+Self.prototype.cached = function (key) {
+  var id = hashKey(key)
+  var known = this.known.get(id)
+  if (!known) return undefined
+  this.known.delete(id)
+  if (known.expires <= Date.now()) return undefined
+  // Used again, so it is the last to be forgotten
+  this.known.set(id, known)
+  return { entry: known.entry }
+}
+
+Self.prototype.list = function () {
+  return this._query('SELECT api_key, tier, label, created FROM api_keys ORDER BY created', []).then((rows) => {
+    return rows.map(toEntry)
+  })
+}
+
+// Creates a new random key in tier and resolves it
+
+Self.prototype.add = function (tier, label) {
+  var entry = {
+    key: crypto.randomBytes(24).toString('hex'),
+    tier: tier,
+    label: label || null,
+    created: Date.now()
+  }
+  return this._execute('INSERT INTO api_keys (api_key, tier, label, created) VALUES (?, ?, ?, ?)', [entry.key, entry.tier, entry.label, entry.created]).then(() => {
+    return entry
+  })
+}
+
+// Resolves true if the key existed
+
+Self.prototype.remove = function (key) {
+  this.known.delete(hashKey(key))
+  return this._execute('DELETE FROM api_keys WHERE api_key = ?', [key]).then((changes) => {
+    return (changes !== 0)
+  })
+}
+
+Self.prototype.forget = function () {
+  this.known.clear()
+}
+
+Self.prototype.close = function () {
+  var connecting = this.connecting || Promise.resolve()
+  return connecting.catch(() => {}).then(() => {
+    var db = this.db
+    this.db = null
+    this.connecting = null
+    this.known.clear()
+    if (!db) return
+    return new Promise((resolve, reject) => {
+      const done = () => {
+        return resolve()
+      }
+      if (this.dbEngine === 'mysql') return db.end(done)
+      db.close(done)
+    })
+  })
+}
+
+Self.prototype._remember = function (key, entry) {
+  var now = Date.now()
+  if (now >= this.nextSweep) {
+    this.known.forEach((known, id) => {
+      if (known.expires <= now) this.known.delete(id)
+    })
+    this.nextSweep = now + this.keyCacheTimeout
+  }
+
+  var id = hashKey(key)
+  this.known.delete(id)
+  this.known.set(id, { entry: entry, expires: now + this.keyCacheTimeout })
+  while (this.known.size > this.maxKnownKeys) this.known.delete(this.known.keys().next().value)
+}
+
+Self.prototype._connect = function () {
+  if (this.db) return Promise.resolve(this.db)
+  if (this.connecting) return this.connecting
+
+  this.connecting = new Promise((resolve, reject) => {
+    if (this.dbEngine === 'mysql') {
+      const mysql = require('mysql')
+      return resolve(mysql.createPool({
+        host: this.dbHost,
+        port: this.dbPort,
+        user: this.dbUser,
+        password: this.dbPassword,
+        database: this.dbDatabase,
+        connectionLimit: this.dbConnectionLimit
+      }))
+    }
+
+    const sqlite3 = require('sqlite3')
+    fs.mkdir(this.dbFolder, (err) => {
+      if (err && err.code !== 'EEXIST') return reject(err)
+      var db = new sqlite3.Database(path.join(this.dbFolder, util.format('%s.sqlite3', this.dbFile)), (err) => {
+        if (err) return reject(err)
+        return resolve(db)
+      })
+    })
+  }).then((db) => {
+    return this._run(db, createTable, []).then(() => {
+      this.db = db
+      this.connecting = null
+      return db
+    })
+  }).catch((err) => {
+    this.connecting = null
+    throw err
+  })
+
+  return this.connecting
+}
+
+Self.prototype._query = function (sql, params) {
+  return this._connect().then((db) => {
+    return new Promise((resolve, reject) => {
+      const done = (err, rows) => {
+        if (err) return reject(err)
+        return resolve(rows)
+      }
+      if (this.dbEngine === 'mysql') return db.query(sql, params, done)
+      db.all(sql, params, done)
+    })
+  })
+}
+
+// Resolves the number of rows that were changed
+
+Self.prototype._execute = function (sql, params) {
+  return this._connect().then((db) => this._run(db, sql, params))
+}
+
+Self.prototype._run = function (db, sql, params) {
+  return new Promise((resolve, reject) => {
+    if (this.dbEngine === 'mysql') {
+      return db.query(sql, params, (err, result) => {
+        if (err) return reject(err)
+        return resolve(result.affectedRows || 0)
+      })
+    }
+    db.run(sql, params, function (err) {
+      if (err) return reject(err)
+      return resolve(this.changes || 0)
+    })
+  })
+}
+
+/*
+  Helper functions
+*/
+
+// Keys are remembered by their hash so that a long made up key costs us no more than a real one
+
+function hashKey (key) {
+  return crypto.createHash('sha256').update(key).digest('hex')
+}
+
+function toEntry (row) {
+  return {
+    key: row.api_key,
+    tier: row.tier,
+    label: row.label || null,
+    created: Number(row.created)
+  }
+}
+
+module.exports = Self
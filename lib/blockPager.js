@@ -0,0 +1,192 @@
+// Copyright (c) 2018, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const util = require('util')
+
+// Block timestamps only have to beat the median of the last 60 blocks so they may run backwards by that many
+const timestampWindow = 60
+
+/*
+  Pages through the chain in either direction a block at a time, skipping
+  blocks that do not match the filters, using f_blocks_list_json windows
+  fetched through getWindow(height). Windows are requested on aligned
+  boundaries so that every page that touches a window shares the cached
+  answer. The position and the query are handed back as opaque cursors so
+  that a client can only ask for the next or previous page of what it asked
+  for in the first place, and a page stops early once maxScan blocks have
+  been looked at so that a filter that rarely matches can not make one
+  request walk the whole chain
+*/
+
+function Self (opts) {
+  opts = opts || {}
+  if (!(this instanceof Self)) return new Self(opts)
+  this.defaultLimit = opts.defaultLimit || 20
+  this.maxLimit = opts.maxLimit || 100
+  this.maxScan = opts.maxScan || 1000
+  this.windowSize = opts.windowSize || 30
+}
+
+/*
+  Turns the query string, or the cursor in it, into { query, at, direction }
+  or { error } describing what is wrong with it
+*/
+
+Self.prototype.parse = function (params) {
+  params = params || {}
+  if (params.cursor !== undefined) {
+    var cursor = decodeCursor(params.cursor)
+    if (!cursor) return { error: 'cursor is not valid' }
+    params = cursor.q
+    var position = { at: cursor.at, direction: cursor.d }
+    if (!isHeight(position.at) || ['next', 'prev'].indexOf(position.direction) === -1) return { error: 'cursor is not valid' }
+  }
+
+  var query = {}
+  var fields = ['from', 'to', 'minTxCount', 'since', 'until']
+  for (var i = 0; i < fields.length; i++) {
+    var value = params[fields[i]]
+    if (value === undefined || value === '') continue
+    value = Number(value)
+    if (!isHeight(value)) return { error: util.format('%s must be an integer of at least 0', fields[i]) }
+    query[fields[i]] = value
+  }
+
+  query.order = params.order || 'desc'
+  if (['asc', 'desc'].indexOf(query.order) === -1) return { error: 'order must be asc or desc' }
+
+  var limit = (params.limit !== undefined && params.limit !== '') ? Number(params.limit) : this.defaultLimit
+  if (!isHeight(limit) || limit === 0) return { error: 'limit must be an integer of at least 1' }
+  query.limit = Math.min(limit, this.maxLimit)
+
+  if (query.from !== undefined && query.to !== undefined && query.from > query.to) return { error: 'from must not be above to' }
+  if (query.since !== undefined && query.until !== undefined && query.since > query.until) return { error: 'since must not be after until' }
+
+  return {
+    query: query,
+    at: (position) ? position.at : undefined,
+    direction: (position) ? position.direction : 'next'
+  }
+}
+
+/*
+  Resolves { blocks, next, prev } where next and prev are cursors, or null
+  when there is nothing more in that direction, for the parsed request
+  against a chain whose highest block is tip
+*/
+
+Self.prototype.page = function (request, tip, getWindow) {
+  var query = request.query
+  var windows = {}
+
+  const blockAt = (height) => {
+    var end = Math.min(Math.floor(height / this.windowSize) * this.windowSize + this.windowSize - 1, tip)
+    const find = (end) => {
+      if (!windows[end]) windows[end] = getWindow(end)
+      return windows[end].then((data) => {
+        var blocks = (Array.isArray(data)) ? data : (data && data.blocks) || []
+        return blocks.filter((block) => block && block.height === height)[0]
+      })
+    }
+    return find(end).then((block) => {
+      // The window was shorter than we expected, ask for the one ending at the block itself
+      if (block || end === height) return block
+      return find(height)
+    }).then((block) => {
+      if (!block) throw new Error(util.format('Could not find block %s', height))
+      return block
+    })
+  }
+
+  return this._bounds(query, tip, blockAt).then((bounds) => {
+    var step = (query.order === 'asc') ? 1 : -1
+    // Walking towards the previous page means walking against the order
+    var travel = (request.direction === 'next') ? step : -step
+    var start = (request.at !== undefined) ? request.at : ((travel === 1) ? bounds.low : bounds.high)
+    var inBounds = (height) => (height >= bounds.low && height <= bounds.high)
+
+    var blocks = []
+    var scanned = 0
+    const scan = (height) => {
+      if (!inBounds(height) || blocks.length >= query.limit || scanned >= this.maxScan) return Promise.resolve(height)
+      return blockAt(height).then((block) => {
+        scanned++
+        if (matches(block, query)) blocks.push(block)
+        return scan(height + travel)
+      })
+    }
+
+    return scan(start).then((stop) => {
+      var onward = (inBounds(stop)) ? encodeCursor(query, stop, request.direction) : null
+      var back = (inBounds(start - travel)) ? encodeCursor(query, start - travel, (request.direction === 'next') ? 'prev' : 'next') : null
+      if (request.direction === 'prev') blocks.reverse()
+      return {
+        blocks: blocks,
+        next: (request.direction === 'next') ? onward : back,
+        prev: (request.direction === 'next') ? back : onward
+      }
+    })
+  })
+}
+
+// The heights the query covers, narrowed down to its time range when it has one
+
+Self.prototype._bounds = function (query, tip, blockAt) {
+  var low = (query.from !== undefined) ? query.from : 0
+  var high = Math.min((query.to !== undefined) ? query.to : tip, tip)
+  if (low > high) return Promise.resolve({ low: 1, high: 0 })
+
+  // The first height with a timestamp of at least timestamp, or high + 1 if there is none
+  const search = (timestamp, min, max) => {
+    if (min > max) return Promise.resolve(min)
+    var middle = Math.floor((min + max) / 2)
+    return blockAt(middle).then((block) => {
+      return (block.timestamp >= timestamp) ? search(timestamp, min, middle - 1) : search(timestamp, middle + 1, max)
+    })
+  }
+
+  return Promise.resolve().then(() => {
+    if (query.since === undefined) return low
+    return search(query.since, low, high).then((height) => Math.max(height - timestampWindow, low))
+  }).then((narrowedLow) => {
+    if (query.until === undefined) return { low: narrowedLow, high: high }
+    return search(query.until + 1, low, high).then((height) => {
+      return { low: narrowedLow, high: Math.min(height - 1 + timestampWindow, high) }
+    })
+  })
+}
+
+/*
+  Helper functions
+*/
+
+function matches (block, query) {
+  if (query.minTxCount !== undefined && (block.tx_count || 0) < query.minTxCount) return false
+  if (query.since !== undefined && block.timestamp < query.since) return false
+  if (query.until !== undefined && block.timestamp > query.until) return false
+  return true
+}
+
+function isHeight (value) {
+  return (typeof value === 'number' && value % 1 === 0 && value >= 0)
+}
+
+function encodeCursor (query, at, direction) {
+  return Buffer.from(JSON.stringify({ q: query, at: at, d: direction })).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function decodeCursor (cursor) {
+  if (typeof cursor !== 'string' || !/^[A-Za-z0-9_-]+$/.test(cursor)) return undefined
+  try {
+    var decoded = JSON.parse(Buffer.from(cursor.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'))
+    if (decoded === null || typeof decoded !== 'object' || decoded.q === null || typeof decoded.q !== 'object') return undefined
+    return decoded
+  } catch (e) {
+    return undefined
+  }
+}
+
+module.exports = Self
@@ -0,0 +1,143 @@
+// Copyright (c) 2018, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const util = require('util')
+
+// Entries with this TTL never expire, any other TTL is a number of seconds
+const FOREVER = 'forever'
+
+// Roughly a third of the target block time for anything that moves with the tip
+const defaultTtls = {
+  getheight: 10,
+  getlastblockheader: 10,
+  getblockcount: 10,
+  globalheight: 10,
+  globaldifficulty: 10,
+  globalpoolheight: 10,
+  globalpooldifficulty: 10,
+  forks: 10,
+  poolstatus: 10,
+  getcurrencyid: FOREVER,
+  transactionstatus: 5,
+  mempoolstats: 10,
+  feerecommendation: 10
+}
+
+// Maps the routes, without any /:node or /:node/:port prefix, to the method whose TTL they follow
+const routeMethods = {
+  '/globalHeight': 'globalheight',
+  '/globalDifficulty': 'globaldifficulty',
+  '/globalPoolHeight': 'globalpoolheight',
+  '/globalPoolDifficulty': 'globalpooldifficulty',
+  '/network/forks': 'forks',
+  '/pools/status': 'poolstatus',
+  '/pools/:name': 'poolstatus',
+  '/info': 'getinfo',
+  '/getinfo': 'getinfo',
+  '/fee': 'feeinfo',
+  '/feeinfo': 'feeinfo',
+  '/height': 'getheight',
+  '/getheight': 'getheight',
+  '/peers': 'getpeers',
+  '/getpeers': 'getpeers',
+  '/gettransactions': 'gettransactions',
+  '/blocks/count': 'getblockcount',
+  '/blocks/:height': 'f_blocks_list_json',
+  '/block/header/top': 'getlastblockheader',
+  '/block/header/:idx': 'getblockheaderbyheight',
+  '/block/:idx': 'f_block_json',
+  '/transaction/pool': 'f_on_transactions_pool_json',
+  '/transaction/:hash': 'f_transaction_json',
+  '/transaction/:hash/status': 'transactionstatus',
+  '/transaction/pool/stats': 'mempoolstats',
+  '/fee/recommended': 'feerecommendation',
+  '/transactions/:paymentid': 'f_gettransactionsbypaymentid',
+  '/currency': 'getcurrencyid'
+}
+
+// Methods whose answers never change once the block they describe is confirmed
+const confirmableMethods = [
+  'f_blocks_list_json',
+  'f_block_json',
+  'f_transaction_json',
+  'on_getblockhash',
+  'getblockheaderbyhash',
+  'getblockheaderbyheight'
+]
+
+function Self (opts) {
+  opts = opts || {}
+  if (!(this instanceof Self)) return new Self(opts)
+  this.cacheTimeout = opts.cacheTimeout || 30
+  this.confirmedDepth = (opts.confirmedDepth !== undefined) ? opts.confirmedDepth : 20
+  this.ttls = Object.assign({}, defaultTtls, opts.ttls || {})
+
+  Object.keys(this.ttls).forEach((key) => {
+    var ttl = this.ttls[key]
+    if (ttl !== FOREVER && (typeof ttl !== 'number' || ttl < 0)) {
+      throw new Error(util.format('The TTL of %s must be a number of seconds of at least 0 or \'%s\'', key, FOREVER))
+    }
+  })
+}
+
+// The TTL, in seconds, for a method or route
+
+Self.prototype.ttl = function (key) {
+  if (this.ttls[key] !== undefined) return this.ttls[key]
+  return this.cacheTimeout
+}
+
+// Blocks and transactions buried at least confirmedDepth below the tip will never change
+
+Self.prototype.confirmedTtl = function (method, height, tip) {
+  if (this.isConfirmed(height, tip)) return FOREVER
+  return this.ttl(method)
+}
+
+Self.prototype.isConfirmed = function (height, tip) {
+  if (typeof height !== 'number' || !tip) return false
+  return (height <= tip - this.confirmedDepth)
+}
+
+/*
+  The TTL for a response to the given route. Routes can be configured
+  directly, either as registered (/:node/info) or without the node prefix
+  (/info), otherwise they follow the TTL of the JSON-RPC methods they serve
+  and responses describing a confirmed height never expire
+*/
+
+Self.prototype.routeTtl = function (route, methods, height, tip) {
+  if (this.ttls[route] !== undefined) return this.ttls[route]
+  var normalized = normalizeRoute(route)
+  if (this.ttls[normalized] !== undefined) return this.ttls[normalized]
+  if (routeMethods[normalized]) methods = [routeMethods[normalized]]
+  if (!methods || methods.length === 0) return this.cacheTimeout
+
+  var confirmable = methods.every((method) => confirmableMethods.indexOf(method) !== -1)
+  if (confirmable && this.isConfirmed(height, tip)) return FOREVER
+
+  var ttls = methods.map((method) => this.ttl(method))
+  var finite = ttls.filter((ttl) => ttl !== FOREVER)
+  if (finite.length === 0) return FOREVER
+  return Math.min.apply(null, finite)
+}
+
+Self.prototype.cacheControl = function (ttl) {
+  if (ttl === FOREVER) return 'max-age=31536000, public, immutable'
+  return util.format('max-age=%s, public', ttl)
+}
+
+/*
+  Helper functions
+*/
+
+function normalizeRoute (route) {
+  return route.replace(/^\/:node\/:port(?=\/)/, '').replace(/^\/:node(?=\/)/, '')
+}
+
+Self.FOREVER = FOREVER
+
+module.exports = Self
@@ -0,0 +1,423 @@
+// Copyright (c) 2018, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const util = require('util')
+const yaml = require('js-yaml')
+const PoolList = require('./poolList.js')
+
+const envPrefix = 'TRTL_PROXY_'
+
+// Settings within option groups that are masked wherever they appear, ex. apiKeyStore.dbPassword
+const secretNames = /password|passphrase|secret|token|credential|^(api|admin)?keys?$/i
+
+/*
+  The options that may be configured outside of code. Each is validated by
+  type and range, and is read from (in increasing order of precedence) the
+  defaults below, a JSON or YAML config file, TRTL_PROXY_* environment
+  variables and command-line flags. Options without a default fall back to
+  the ones built into the proxy
+*/
+
+const schema = {
+  cacheTimeout: { type: 'integer', min: 1, default: 30 },
+  staleTimeout: { type: 'integer', min: 0 },
+  timeout: { type: 'integer', min: 1, default: 5000 },
+  bindIp: { type: 'string', default: '0.0.0.0' },
+  bindPort: { type: 'integer', min: 0, max: 65535, default: 80 },
+  stopTimeout: { type: 'integer', min: 0, default: 10000 },
+  defaultHost: { type: 'string', default: 'public.turtlenode.io' },
+  defaultPort: { type: 'integer', min: 1, max: 65535, default: 11898 },
+  seeds: { type: 'array', items: invalidNode },
+  pools: { type: 'array', items: invalidPool },
+  poolList: { type: 'object' },
+  poolMonitor: { type: 'object' },
+  heightConsensus: { type: 'object' },
+  difficultyConsensus: { type: 'object' },
+  forkDetector: { type: 'object' },
+  nodePool: { type: 'object' },
+  targetPolicy: { type: 'object' },
+  rpcPolicy: { type: 'object' },
+  metrics: { type: 'object' },
+  feed: { type: 'object' },
+  blockList: { type: 'object' },
+  walletSync: { type: 'object' },
+  transactions: { type: 'object' },
+  mempool: { type: 'object' },
+  mining: { type: 'object' },
+  apiKeys: { type: 'array', items: invalidApiKey, secret: true },
+  adminKeys: { type: 'array', items: invalidString, secret: true },
+  rateLimits: { type: 'object' },
+  apiKeyStore: { type: 'object' },
+  trustProxy: { type: 'trust' },
+  confirmedDepth: { type: 'integer', min: 0, default: 20 },
+  ttls: { type: 'object' },
+  cacheEngine: { type: 'string', enum: ['memory', 'redis'], default: 'memory' },
+  cacheHost: { type: 'string', default: '127.0.0.1' },
+  cachePort: { type: 'integer', min: 1, max: 65535, default: 6379 },
+  cachePassword: { type: 'string', secret: true },
+  cacheDb: { type: 'integer', min: 0, default: 0 },
+  cachePrefix: { type: 'string', default: 'turtlecoin-api-proxy:' },
+  cacheForeverTimeout: { type: 'integer', min: 1, default: 86400 },
+  autoStartUpdater: { type: 'boolean', default: false },
+  dbCacheQueryTimeout: { type: 'integer', min: 1, default: 20000 },
+  updateInterval: { type: 'integer', min: 1, default: 5 },
+  maxDeviance: { type: 'integer', min: 0, default: 5 },
+  dbEngine: { type: 'string', enum: ['sqlite', 'mysql'], default: 'sqlite' },
+  dbFolder: { type: 'string', default: 'db' },
+  dbFile: { type: 'string', default: 'turtlecoin' },
+  dbHost: { type: 'string', default: '127.0.0.1' },
+  dbPort: { type: 'integer', min: 1, max: 65535, default: 3306 },
+  dbUser: { type: 'string', default: 'turtlecoin' },
+  dbPassword: { type: 'string', default: 'turtlecoin', secret: true },
+  dbDatabase: { type: 'string', default: 'turtlecoin' },
+  dbConnectionLimit: { type: 'integer', min: 1, default: 10 }
+}
+
+function Self (opts) {
+  opts = opts || {}
+  if (!(this instanceof Self)) return new Self(opts)
+  this.argv = opts.argv || []
+  this.env = opts.env || {}
+  this.cwd = opts.cwd || process.cwd()
+}
+
+/*
+  Resolves the merged options along with the flags that are not options
+  themselves, throws an error listing every bad setting
+*/
+
+Self.prototype.load = function () {
+  var errors = []
+  var cli = this._parseArgv(errors)
+  var env = this._parseEnv(errors)
+
+  var file = cli.flags.config || this.env[envPrefix + 'CONFIG']
+  var fromFile = (file) ? this._readFile(file, errors) : {}
+
+  var options = {}
+  Object.keys(schema).forEach((key) => {
+    if (schema[key].default !== undefined) options[key] = schema[key].default
+  })
+  ;[fromFile, env.options, cli.options].forEach((layer) => {
+    Object.keys(layer).forEach((key) => {
+      var value = layer[key].value
+      // Option groups are merged so that a single setting can be overridden
+      if (schema[key] && schema[key].type === 'object' && isObject(value) && isObject(options[key])) {
+        value = Object.assign({}, options[key], value)
+      }
+      options[key] = value
+    })
+  })
+
+  ;[fromFile, env.options, cli.options].forEach((layer) => {
+    Object.keys(layer).forEach((key) => {
+      var reason = invalidValue(key, layer[key].value)
+      if (reason) errors.push(util.format('%s %s (from %s)', key, reason, layer[key].source))
+    })
+  })
+
+  if (errors.length !== 0) {
+    var err = new Error(util.format('Invalid configuration:\n  %s', errors.join('\n  ')))
+    err.errors = errors
+    throw err
+  }
+
+  return {
+    options: options,
+    file: (file) ? path.resolve(this.cwd, file) : false,
+    printConfig: cli.flags['print-config'] === true
+  }
+}
+
+// The options as JSON with every secret masked, including those nested in option groups
+
+Self.prototype.print = function (options) {
+  var masked = {}
+  Object.keys(options).forEach((key) => {
+    masked[key] = mask(options[key], (schema[key] && schema[key].secret) || secretNames.test(key))
+  })
+  return JSON.stringify(masked, null, 2)
+}
+
+Self.prototype._parseArgv = function (errors) {
+  var options = {}
+  var flags = {}
+  for (var i = 0; i < this.argv.length; i++) {
+    var arg = this.argv[i]
+    var match = /^--(no-)?([a-z0-9-]+)(?:=([\s\S]*))?$/.exec(arg)
+    if (!match) {
+      errors.push(util.format('Unexpected argument: %s', arg))
+      continue
+    }
+    var negated = (match[1] !== undefined)
+    var name = match[2]
+    var raw = match[3]
+
+    if (name === 'print-config') {
+      flags[name] = true
+      continue
+    }
+    if (name === 'config') {
+      if (raw === undefined) raw = this.argv[++i]
+      if (raw === undefined) errors.push('--config requires a file')
+      flags[name] = raw
+      continue
+    }
+
+    var key = camelCase(name)
+    if (!schema[key]) {
+      errors.push(util.format('Unknown option: --%s', name))
+      continue
+    }
+    if (schema[key].type === 'boolean' && raw === undefined) {
+      raw = (negated) ? 'false' : 'true'
+    } else if (raw === undefined) {
+      raw = this.argv[++i]
+      if (raw === undefined) {
+        errors.push(util.format('--%s requires a value', name))
+        continue
+      }
+    }
+    var source = util.format('--%s', name)
+    var parsed = parse(key, raw)
+    if (parsed.error) {
+      errors.push(util.format('%s %s (from %s)', key, parsed.error, source))
+      continue
+    }
+    options[key] = { value: parsed.value, source: source }
+  }
+  return { options: options, flags: flags }
+}
+
+Self.prototype._parseEnv = function (errors) {
+  var options = {}
+  Object.keys(this.env).forEach((name) => {
+    if (name.indexOf(envPrefix) !== 0 || name === envPrefix + 'CONFIG') return
+    var key = camelCase(name.slice(envPrefix.length).toLowerCase().replace(/_/g, '-'))
+    if (!schema[key]) {
+      errors.push(util.format('Unknown option: %s', name))
+      return
+    }
+    var parsed = parse(key, this.env[name])
+    if (parsed.error) {
+      errors.push(util.format('%s %s (from %s)', key, parsed.error, name))
+      return
+    }
+    options[key] = { value: parsed.value, source: name }
+  })
+  return { options: options }
+}
+
+Self.prototype._readFile = function (file, errors) {
+  var filename = path.resolve(this.cwd, file)
+  var data
+  try {
+    var content = fs.readFileSync(filename, 'utf8')
+    data = (/\.ya?ml$/i.test(filename)) ? yaml.safeLoad(content) : JSON.parse(content)
+  } catch (e) {
+    errors.push(util.format('Could not read the config file %s: %s', filename, e.message))
+    return {}
+  }
+  if (data === undefined || data === null) return {}
+  if (!isObject(data)) {
+    errors.push(util.format('The config file %s must contain an object', filename))
+    return {}
+  }
+
+  var options = {}
+  Object.keys(data).forEach((key) => {
+    if (!schema[key]) {
+      errors.push(util.format('Unknown option: %s (from %s)', key, filename))
+      return
+    }
+    options[key] = { value: data[key], source: filename }
+  })
+  return options
+}
+
+/*
+  The options for the blockchain cache database, shared by the proxy and the
+  cache updater so that they always agree on where the database lives
+*/
+
+Self.blockCacheOptions = function (options) {
+  return {
+    rpcHost: options.defaultHost,
+    rpcPort: options.defaultPort,
+    updateInterval: options.updateInterval,
+    dbEngine: options.dbEngine,
+    dbFolder: options.dbFolder,
+    dbFile: options.dbFile,
+    dbHost: options.dbHost,
+    dbPort: options.dbPort,
+    dbUser: options.dbUser,
+    dbPassword: options.dbPassword,
+    dbDatabase: options.dbDatabase,
+    dbConnectionLimit: options.dbConnectionLimit,
+    timeout: options.dbCacheQueryTimeout,
+    autoStartUpdater: options.autoStartUpdater
+  }
+}
+
+/*
+  Loads the configuration of the running process for the entry points. Bad
+  settings are reported and end the process, as does --print-config once
+  the configuration is printed. Entry points that take arguments of their
+  own pass the flags that are left
+*/
+
+Self.fromProcess = function (argv) {
+  var config = new Self({ argv: argv || process.argv.slice(2), env: process.env })
+  var result
+  try {
+    result = config.load()
+  } catch (e) {
+    console.error(e.message)
+    process.exit(1)
+  }
+  if (result.printConfig) {
+    console.log(config.print(result.options))
+    process.exit(0)
+  }
+  return result.options
+}
+
+// Reads the configuration of the running process again, used to reload it without a restart
+
+Self.reloadFromProcess = function () {
+  return new Self({ argv: process.argv.slice(2), env: process.env }).load().options
+}
+
+Self.schema = schema
+
+/*
+  Helper functions
+*/
+
+function parse (key, raw) {
+  var rule = schema[key]
+  raw = raw.toString()
+  switch (rule.type) {
+    case 'integer':
+      if (!/^-?\d+$/.test(raw.trim())) return { error: util.format('must be an integer but got %s', JSON.stringify(raw)) }
+      return { value: parseInt(raw) }
+    case 'number':
+      if (raw.trim() === '' || isNaN(Number(raw))) return { error: util.format('must be a number but got %s', JSON.stringify(raw)) }
+      return { value: Number(raw) }
+    case 'boolean':
+      if (['true', '1', 'yes'].indexOf(raw.toLowerCase()) !== -1) return { value: true }
+      if (['false', '0', 'no'].indexOf(raw.toLowerCase()) !== -1) return { value: false }
+      return { error: util.format('must be true or false but got %s', JSON.stringify(raw)) }
+    case 'array':
+    case 'object':
+      try {
+        return { value: JSON.parse(raw) }
+      } catch (e) {
+        return { error: util.format('must be JSON but could not be parsed: %s', e.message) }
+      }
+    case 'trust':
+      // Whatever Express takes for trust proxy: true or false, a number of hops, a JSON array or a comma separated list
+      if (['true', 'false'].indexOf(raw.toLowerCase()) !== -1) return { value: raw.toLowerCase() === 'true' }
+      if (/^\d+$/.test(raw.trim())) return { value: parseInt(raw) }
+      if (raw.trim().indexOf('[') !== 0) return { value: raw }
+      try {
+        return { value: JSON.parse(raw) }
+      } catch (e) {
+        return { error: util.format('must be JSON but could not be parsed: %s', e.message) }
+      }
+    default:
+      return { value: raw }
+  }
+}
+
+function invalidValue (key, value) {
+  var rule = schema[key]
+  switch (rule.type) {
+    case 'integer':
+      if (typeof value !== 'number' || value % 1 !== 0) return util.format('must be an integer but got %s', JSON.stringify(value))
+      break
+    case 'number':
+      if (typeof value !== 'number' || isNaN(value)) return util.format('must be a number but got %s', JSON.stringify(value))
+      break
+    case 'boolean':
+      if (typeof value !== 'boolean') return util.format('must be true or false but got %s', JSON.stringify(value))
+      break
+    case 'string':
+      if (typeof value !== 'string' || value.length === 0) return util.format('must be a non-empty string but got %s', JSON.stringify(value))
+      break
+    case 'array':
+      if (!Array.isArray(value)) return util.format('must be an array but got %s', JSON.stringify(value))
+      break
+    case 'object':
+      if (!isObject(value)) return util.format('must be an object but got %s', JSON.stringify(value))
+      break
+    case 'trust':
+      if (typeof value === 'boolean' || (typeof value === 'number' && value % 1 === 0 && value >= 0)) break
+      if (Array.isArray(value) && value.every((entry) => !invalidString(entry))) break
+      if (!invalidString(value)) break
+      return util.format('must be true or false, a number of hops, an address or an array of addresses but got %s', JSON.stringify(value))
+  }
+  if (rule.min !== undefined && value < rule.min) return util.format('must be at least %s but got %s', rule.min, value)
+  if (rule.max !== undefined && value > rule.max) return util.format('must be at most %s but got %s', rule.max, value)
+  if (rule.enum && rule.enum.indexOf(value) === -1) return util.format('must be one of %s but got %s', rule.enum.join(', '), JSON.stringify(value))
+  if (rule.items) {
+    for (var i = 0; i < value.length; i++) {
+      var reason = rule.items(value[i])
+      if (reason) return util.format('has an invalid entry at %s: %s', i, reason)
+    }
+  }
+  return undefined
+}
+
+function invalidNode (node) {
+  if (!isObject(node)) return 'must be an object with a host and port'
+  if (typeof node.host !== 'string' || node.host.length === 0) return 'host must be a non-empty string'
+  if (typeof node.port !== 'number' || node.port % 1 !== 0 || node.port < 1 || node.port > 65535) return 'port must be an integer between 1 and 65535'
+  if (node.trust !== undefined && (typeof node.trust !== 'number' || node.trust < 0)) return 'trust must be a number of at least 0'
+  return undefined
+}
+
+function invalidPool (pool) {
+  var rejected = PoolList.validate([pool]).rejected
+  return (rejected.length !== 0) ? rejected[0] : undefined
+}
+
+function invalidString (value) {
+  if (typeof value !== 'string' || value.length === 0) return 'must be a non-empty string'
+  return undefined
+}
+
+// Keys are either the key itself or { key, tier }
+
+function invalidApiKey (value) {
+  if (!isObject(value)) return invalidString(value)
+  if (typeof value.key !== 'string' || value.key.length === 0) return 'key must be a non-empty string'
+  if (value.tier !== undefined && (typeof value.tier !== 'string' || value.tier.length === 0)) return 'tier must be a non-empty string'
+  return undefined
+}
+
+function mask (value, secret) {
+  if (secret) return (value) ? '********' : value
+  if (Array.isArray(value)) return value.map((entry) => mask(entry, false))
+  if (!isObject(value)) return value
+  var masked = {}
+  Object.keys(value).forEach((key) => {
+    masked[key] = mask(value[key], secretNames.test(key))
+  })
+  return masked
+}
+
+function camelCase (name) {
+  return name.replace(/-([a-z0-9])/g, (match, letter) => letter.toUpperCase())
+}
+
+function isObject (value) {
+  return (value !== null && typeof value === 'object' && !Array.isArray(value))
+}
+
+module.exports = Self
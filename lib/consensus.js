@@ -0,0 +1,93 @@
+// Copyright (c) 2018, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+/*
+  Weighted, outlier-resistant voting on the values reported by a set of nodes.
+  Every sample is { id, value, trust } where trust is the operator supplied
+  weight of the node. How often a node has agreed with the outcome in the
+  past is tracked here and scales its weight in future votes
+*/
+
+function Self (opts) {
+  opts = opts || {}
+  if (!(this instanceof Self)) return new Self(opts)
+  this.tolerance = opts.tolerance || 0
+  this.relativeTolerance = opts.relativeTolerance || 0
+  this.madThreshold = opts.madThreshold || 3
+  this.reliability = {}
+}
+
+Self.prototype.vote = function (samples) {
+  samples = samples.filter((sample) => typeof sample.value === 'number' && !isNaN(sample.value))
+  // Nothing to vote on is no agreement, not a unanimous zero
+  if (samples.length === 0) return { value: null, confidence: 0, outliers: [], dissenters: [] }
+
+  var median = medianOf(samples.map((sample) => sample.value))
+  var mad = medianOf(samples.map((sample) => Math.abs(sample.value - median)))
+
+  // A value is only an outlier when it falls outside both the tolerance band and the MAD bound
+  var band = Math.max(this.tolerance, Math.abs(median) * this.relativeTolerance, this.madThreshold * 1.4826 * mad)
+
+  var tallies = {}
+  var totalWeight = 0
+  samples.forEach((sample) => {
+    sample.weight = this._weight(sample)
+    sample.outlier = (Math.abs(sample.value - median) > band)
+    totalWeight += sample.weight
+    if (sample.outlier) return
+    if (!tallies[sample.value]) tallies[sample.value] = { value: sample.value, weight: 0, count: 0 }
+    tallies[sample.value].weight += sample.weight
+    tallies[sample.value].count++
+  })
+
+  // Most weight wins, then most votes, then the highest value as it is the most recent
+  var winner = Object.keys(tallies).map((key) => tallies[key]).sort((a, b) => {
+    return (b.weight - a.weight) || (b.count - a.count) || (b.value - a.value)
+  })[0]
+
+  var dissenters = []
+  samples.forEach((sample) => {
+    var agreed = (sample.value === winner.value)
+    this._record(sample.id, agreed)
+    if (agreed) return
+    dissenters.push({
+      id: sample.id,
+      value: sample.value,
+      delta: sample.value - winner.value,
+      outlier: sample.outlier
+    })
+  })
+
+  return {
+    value: winner.value,
+    confidence: (totalWeight > 0) ? winner.weight / totalWeight : 0,
+    outliers: dissenters.filter((dissenter) => dissenter.outlier).map((dissenter) => dissenter.id),
+    dissenters: dissenters
+  }
+}
+
+Self.prototype._weight = function (sample) {
+  var trust = (typeof sample.trust === 'number') ? sample.trust : 1
+  var reliability = (this.reliability[sample.id] !== undefined) ? this.reliability[sample.id] : 1
+  // Never let a node's weight reach zero, it should always be able to earn its way back
+  return trust * Math.max(reliability, 0.1)
+}
+
+Self.prototype._record = function (id, agreed) {
+  var reliability = (this.reliability[id] !== undefined) ? this.reliability[id] : 1
+  this.reliability[id] = reliability * 0.9 + ((agreed) ? 0.1 : 0)
+}
+
+/*
+  Helper functions
+*/
+
+function medianOf (arr) {
+  arr = arr.slice().sort((a, b) => a - b)
+  return (arr[(arr.length - 1) >> 1] + arr[arr.length >> 1]) / 2
+}
+
+module.exports = Self
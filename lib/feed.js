@@ -0,0 +1,87 @@
+// Copyright (c) 2018, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const inherits = require('util').inherits
+const EventEmitter = require('events').EventEmitter
+const crypto = require('crypto')
+
+const channels = ['blocks', 'mempool', 'network', 'pools']
+
+/*
+  The live feed of changes that we push to clients. Every update is numbered
+  and the most recent ones are kept so that a client that lost its connection
+  can pick up where it left off. The numbers only mean something within one
+  stream, which starts over whenever the process does, so clients must send
+  back the stream they were following along with the last number they saw
+*/
+
+function Self (opts) {
+  opts = opts || {}
+  if (!(this instanceof Self)) return new Self(opts)
+  this.historySize = opts.historySize || 1000
+  this.stream = crypto.randomBytes(8).toString('hex')
+  this.seq = 0
+  this.history = []
+  this.state = {}
+  this.subscribers = 0
+}
+inherits(Self, EventEmitter)
+
+/*
+  Numbers and sends an update on channel, state is what a client that is new
+  to the channel needs to know and defaults to the update itself
+*/
+
+Self.prototype.publish = function (channel, data, state) {
+  this.seq++
+  var message = { channel: channel, seq: this.seq, at: Date.now(), data: data }
+  this.history.push(message)
+  if (this.history.length > this.historySize) this.history.shift()
+  this.state[channel] = { channel: channel, seq: this.seq, at: message.at, data: (state !== undefined) ? state : data }
+  this.emit('message', message)
+  return message
+}
+
+/*
+  The updates on channels after seq in the stream, or undefined if we can not
+  replay them because they are from another stream or no longer kept
+*/
+
+Self.prototype.since = function (stream, seq, channels) {
+  if (stream !== this.stream || typeof seq !== 'number' || seq < 0 || seq > this.seq) return undefined
+  if (seq < this.seq && (this.history.length === 0 || this.history[0].seq > seq + 1)) return undefined
+  return this.history.filter((message) => message.seq > seq && channels.indexOf(message.channel) !== -1)
+}
+
+// The current state of every channel that has one
+
+Self.prototype.snapshot = function (channels) {
+  return channels.filter((channel) => this.state[channel] !== undefined).map((channel) => this.state[channel])
+}
+
+/*
+  Servers count their subscribers in and out so that we know whether anyone
+  is listening, there is no point in watching for changes otherwise. The
+  first subscriber is announced as active so that changes are looked for
+  straight away
+*/
+
+Self.prototype.subscribe = function () {
+  this.subscribers++
+  if (this.subscribers === 1) this.emit('active')
+}
+
+Self.prototype.unsubscribe = function () {
+  this.subscribers = Math.max(this.subscribers - 1, 0)
+}
+
+Self.prototype.active = function () {
+  return (this.subscribers !== 0)
+}
+
+Self.channels = channels
+
+module.exports = Self
@@ -0,0 +1,251 @@
+// Copyright (c) 2018, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Feed = require('./feed.js')
+const http = require('http')
+const URL = require('url').URL
+const util = require('util')
+const WebSocket = require('ws')
+
+/*
+  Serves the live feed over WebSockets on the same server as the API.
+  Clients subscribe to channels by message, or with ?channels= when they
+  connect, and are sent the current state of each channel followed by every
+  update. A client that sends back the stream and the last seq it saw is
+  sent the updates it missed instead, when we still have them. Before a
+  connection is upgraded admit(request) resolves { address } for a client
+  that may connect or { status, headers, body } for one that may not, and
+  no address may hold more than maxClientsPerAddress connections
+
+  { "action": "subscribe", "channels": ["blocks", "network"], "stream": "...", "since": 42 }
+  { "action": "unsubscribe", "channels": ["network"] }
+*/
+
+function Self (opts) {
+  opts = opts || {}
+  if (!(this instanceof Self)) return new Self(opts)
+  this.feed = opts.feed
+  this.path = opts.path || '/ws'
+  this.heartbeat = opts.heartbeat || 30000
+  this.maxClients = opts.maxClients || 1000
+  this.maxClientsPerAddress = opts.maxClientsPerAddress || 10
+  this.admit = opts.admit || ((request) => Promise.resolve({ address: request.socket.remoteAddress }))
+  this.maxBuffered = opts.maxBuffered || (1024 * 1024)
+  this.clients = new Set()
+  this.server = null
+  this.timer = null
+}
+
+Self.prototype.attach = function (server) {
+  if (this.server) return
+  this.httpServer = server
+  this.server = new WebSocket.Server({ noServer: true, maxPayload: 4096 })
+
+  this.onUpgrade = (request, socket, head) => {
+    if (new URL(request.url, 'http://localhost').pathname !== this.path) return socket.destroy()
+    if (this.clients.size >= this.maxClients) return refuse(socket, { status: 503 })
+
+    this.admit(request).then((admitted) => {
+      if (socket.destroyed || !this.server) return
+      if (!admitted.address) return refuse(socket, admitted)
+      if (this._connectedFrom(admitted.address) >= this.maxClientsPerAddress) {
+        return refuse(socket, {
+          status: 429,
+          body: { error: { code: 429, message: 'Too many live feed connections from this address' } }
+        })
+      }
+      this.server.handleUpgrade(request, socket, head, (ws) => {
+        this._accept(ws, request, admitted.address)
+      })
+    }).catch(() => {
+      socket.destroy()
+    })
+  }
+  server.on('upgrade', this.onUpgrade)
+
+  this.onMessage = (message) => {
+    this._broadcast(message)
+  }
+  this.feed.on('message', this.onMessage)
+
+  // Connections that stop answering pings are dropped so that they do not pile up
+  this.timer = setInterval(() => {
+    this.clients.forEach((client) => {
+      if (!client.alive) return client.ws.terminate()
+      client.alive = false
+      client.ws.ping()
+    })
+  }, this.heartbeat)
+}
+
+// Tells every client that we are going away and stops accepting new ones
+
+Self.prototype.close = function () {
+  if (!this.server) return Promise.resolve()
+  clearInterval(this.timer)
+  this.timer = null
+  this.httpServer.removeListener('upgrade', this.onUpgrade)
+  this.feed.removeListener('message', this.onMessage)
+  this.clients.forEach((client) => {
+    client.ws.close(1001, 'Server is shutting down')
+  })
+
+  var server = this.server
+  this.server = null
+  return new Promise((resolve, reject) => {
+    // Clients that do not finish the closing handshake in time are cut off
+    var deadline = setTimeout(() => {
+      this.clients.forEach((client) => client.ws.terminate())
+    }, 1000)
+    const check = () => {
+      if (this.clients.size !== 0) return setTimeout(check, 10)
+      clearTimeout(deadline)
+      server.close(() => {
+        return resolve()
+      })
+    }
+    check()
+  })
+}
+
+Self.prototype._accept = function (ws, request, address) {
+  var client = { ws: ws, address: address, channels: [], alive: true }
+  this.clients.add(client)
+
+  ws.on('pong', () => {
+    client.alive = true
+  })
+
+  ws.on('close', () => {
+    this.clients.delete(client)
+    this._watch(client, false)
+  })
+
+  ws.on('error', () => {
+    ws.terminate()
+  })
+
+  ws.on('message', (data) => {
+    var message
+    try {
+      message = JSON.parse(data)
+    } catch (e) {
+      return this._send(client, { type: 'error', message: 'Messages must be JSON' })
+    }
+    if (message === null || typeof message !== 'object') return this._send(client, { type: 'error', message: 'Messages must be JSON objects' })
+
+    switch (message.action) {
+      case 'subscribe':
+        return this._subscribe(client, message.channels, message.stream, message.since)
+      case 'unsubscribe':
+        return this._unsubscribe(client, message.channels)
+      default:
+        return this._send(client, { type: 'error', message: util.format('Unknown action: %s', message.action) })
+    }
+  })
+
+  this._send(client, { type: 'welcome', stream: this.feed.stream, seq: this.feed.seq, channels: Feed.channels })
+
+  var query = new URL(request.url, 'http://localhost').searchParams
+  if (query.has('channels')) {
+    this._subscribe(client, query.get('channels').split(','), query.get('stream'), (query.has('since')) ? Number(query.get('since')) : undefined)
+  }
+}
+
+Self.prototype._subscribe = function (client, channels, stream, since) {
+  var unknown = invalidChannels(channels)
+  if (unknown) return this._send(client, { type: 'error', message: unknown })
+
+  channels.forEach((channel) => {
+    if (client.channels.indexOf(channel) === -1) client.channels.push(channel)
+  })
+  this._watch(client, true)
+
+  var missed = (since !== undefined) ? this.feed.since(stream, since, channels) : undefined
+  this._send(client, { type: 'subscribed', channels: client.channels, resumed: (missed !== undefined) })
+  if (missed) {
+    missed.forEach((message) => this._send(client, update(message)))
+    return
+  }
+  this.feed.snapshot(channels).forEach((state) => {
+    this._send(client, { type: 'snapshot', channel: state.channel, seq: state.seq, at: state.at, data: state.data })
+  })
+}
+
+Self.prototype._unsubscribe = function (client, channels) {
+  var unknown = invalidChannels(channels)
+  if (unknown) return this._send(client, { type: 'error', message: unknown })
+  client.channels = client.channels.filter((channel) => channels.indexOf(channel) === -1)
+  this._watch(client, client.channels.length !== 0)
+  this._send(client, { type: 'unsubscribed', channels: client.channels })
+}
+
+Self.prototype._connectedFrom = function (address) {
+  var count = 0
+  this.clients.forEach((client) => {
+    if (client.address === address) count++
+  })
+  return count
+}
+
+// Counts the client as a subscriber of the feed while it is subscribed to anything
+
+Self.prototype._watch = function (client, watching) {
+  if (watching === !!client.watching) return
+  client.watching = watching
+  if (watching) {
+    this.feed.subscribe()
+  } else {
+    this.feed.unsubscribe()
+  }
+}
+
+Self.prototype._broadcast = function (message) {
+  var payload = JSON.stringify(update(message))
+  this.clients.forEach((client) => {
+    if (client.channels.indexOf(message.channel) === -1) return
+    this._send(client, payload)
+  })
+}
+
+Self.prototype._send = function (client, message) {
+  if (client.ws.readyState !== WebSocket.OPEN) return
+  // A client that can not keep up would otherwise hold every update we send it in memory
+  if (client.ws.bufferedAmount > this.maxBuffered) return client.ws.terminate()
+  client.ws.send((typeof message === 'string') ? message : JSON.stringify(message))
+}
+
+/*
+  Helper functions
+*/
+
+// Answers an upgrade that we turn down with { status, headers, body } as a plain HTTP response
+
+function refuse (socket, answer) {
+  var body = (answer.body !== undefined) ? JSON.stringify(answer.body) : ''
+  var headers = Object.assign({}, answer.headers || {}, {
+    Connection: 'close',
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body)
+  })
+  var lines = [util.format('HTTP/1.1 %s %s', answer.status, http.STATUS_CODES[answer.status])]
+  Object.keys(headers).forEach((name) => lines.push(util.format('%s: %s', name, headers[name])))
+  socket.end(lines.join('\r\n') + '\r\n\r\n' + body)
+}
+
+function update (message) {
+  return { type: 'update', channel: message.channel, seq: message.seq, at: message.at, data: message.data }
+}
+
+function invalidChannels (channels) {
+  if (!Array.isArray(channels) || channels.length === 0) return 'channels must be a non-empty array'
+  for (var i = 0; i < channels.length; i++) {
+    if (Feed.channels.indexOf(channels[i]) === -1) return util.format('Unknown channel: %s', channels[i])
+  }
+  return undefined
+}
+
+module.exports = Self
@@ -0,0 +1,127 @@
+// Copyright (c) 2018, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const util = require('util')
+
+/*
+  Serves channels of the live feed as Server-Sent Events for clients that can
+  not use WebSockets. Every event id is the stream and the seq of the update
+  so that a client that reconnects with Last-Event-ID is sent what it missed,
+  while we still have it, and the current state of the channels otherwise.
+  Comments are sent as a heartbeat to keep proxies from closing idle streams.
+  No address may hold more than maxClientsPerAddress streams
+*/
+
+function Self (opts) {
+  opts = opts || {}
+  if (!(this instanceof Self)) return new Self(opts)
+  this.feed = opts.feed
+  this.heartbeat = opts.heartbeat || 30000
+  this.maxClients = opts.maxClients || 1000
+  this.maxClientsPerAddress = opts.maxClientsPerAddress || 10
+  this.retry = opts.retry || 5000
+  this.clients = new Set()
+}
+
+Self.prototype.serve = function (channels, request, response) {
+  if (this.clients.size >= this.maxClients) {
+    return response.status(503).json({
+      error: {
+        code: 503,
+        message: 'Too many clients are connected to the live feed'
+      }
+    })
+  }
+  if (this._connectedFrom(request.ip) >= this.maxClientsPerAddress) {
+    return response.status(429).json({
+      error: {
+        code: 429,
+        message: 'Too many live feed connections from this address'
+      }
+    })
+  }
+
+  response.status(200)
+  response.header('Content-Type', 'text/event-stream')
+  response.header('Cache-Control', 'no-store')
+  response.header('Connection', 'keep-alive')
+  // Stop nginx from holding on to the events
+  response.header('X-Accel-Buffering', 'no')
+  request.socket.setTimeout(0)
+
+  var client = { response: response, address: request.ip, channels: channels }
+  this.clients.add(client)
+  this.feed.subscribe()
+
+  this._write(client, util.format('retry: %s\n\n', this.retry))
+  var last = parseEventId(request.get('Last-Event-ID') || request.query.lastEventId)
+  var missed = (last) ? this.feed.since(last.stream, last.seq, channels) : undefined
+  if (missed) {
+    missed.forEach((message) => this._send(client, message))
+  } else {
+    this.feed.snapshot(channels).forEach((state) => this._send(client, state))
+  }
+
+  const onMessage = (message) => {
+    if (channels.indexOf(message.channel) !== -1) this._send(client, message)
+  }
+  this.feed.on('message', onMessage)
+
+  client.timer = setInterval(() => {
+    this._write(client, ': heartbeat\n\n')
+  }, this.heartbeat)
+
+  client.end = () => {
+    if (!this.clients.has(client)) return
+    this.clients.delete(client)
+    clearInterval(client.timer)
+    this.feed.removeListener('message', onMessage)
+    this.feed.unsubscribe()
+  }
+  request.once('close', client.end)
+  response.once('finish', client.end)
+}
+
+// Ends every stream, clients are told to come back in retry milliseconds
+
+Self.prototype.close = function () {
+  this.clients.forEach((client) => {
+    client.end()
+    client.response.end()
+  })
+  return Promise.resolve()
+}
+
+Self.prototype._connectedFrom = function (address) {
+  var count = 0
+  this.clients.forEach((client) => {
+    if (client.address === address) count++
+  })
+  return count
+}
+
+Self.prototype._send = function (client, message) {
+  this._write(client, util.format('id: %s:%s\nevent: %s\ndata: %s\n\n', this.feed.stream, message.seq, message.channel, JSON.stringify(message.data)))
+}
+
+Self.prototype._write = function (client, text) {
+  client.response.write(text)
+  // Compression would otherwise hold on to the event until it had enough to send
+  if (typeof client.response.flush === 'function') client.response.flush()
+}
+
+/*
+  Helper functions
+*/
+
+function parseEventId (id) {
+  if (typeof id !== 'string') return undefined
+  var match = /^([0-9a-f]+):(\d+)$/.exec(id.trim())
+  if (!match) return undefined
+  return { stream: match[1], seq: parseInt(match[2]) }
+}
+
+module.exports = Self
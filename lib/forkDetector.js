@@ -0,0 +1,149 @@
+// Copyright (c) 2018, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const inherits = require('util').inherits
+const EventEmitter = require('events').EventEmitter
+const util = require('util')
+const TurtleCoind = require('turtlecoin-rpc').TurtleCoind
+
+/*
+  Compares the block hashes reported by a set of nodes to find out whether
+  they are all on the same chain. Nodes are grouped into partitions by the
+  hash they report at the highest height they all have, and the height at
+  which each minority partition split from the majority is searched for
+*/
+
+function Self (opts) {
+  opts = opts || {}
+  if (!(this instanceof Self)) return new Self(opts)
+  this.timeout = opts.timeout || 5000
+  this.maxDepth = opts.maxDepth || 1000
+  this.lastSignature = ''
+}
+inherits(Self, EventEmitter)
+
+Self.prototype.check = function (nodes) {
+  var members = nodes.map((node) => {
+    return {
+      id: util.format('%s:%s', node.host, node.port),
+      rpc: new TurtleCoind({ host: node.host, port: node.port, timeout: this.timeout })
+    }
+  })
+
+  return Promise.all(members.map((member) => {
+    return member.rpc.getLastBlockHeader().then((header) => {
+      member.topHeight = header.height
+      member.topHash = header.hash
+      return member
+    }).catch(() => {
+      return undefined
+    })
+  })).then((results) => {
+    var answered = results.filter((member) => member !== undefined)
+    if (answered.length === 0) throw new Error('No nodes answered the fork check')
+
+    var commonHeight = minOf(answered.map((member) => member.topHeight))
+    return Promise.all(answered.map((member) => {
+      return hashAt(member, commonHeight).then((hash) => {
+        member.hash = hash
+        return member
+      }).catch(() => {
+        return undefined
+      })
+    })).then((results) => {
+      return this._partition(results.filter((member) => member !== undefined), commonHeight)
+    })
+  }).then((result) => {
+    // Only tell listeners about a fork when the shape of the partitions changes
+    var signature = result.partitions.map((partition) => partition.nodes.join(',')).join('|')
+    if (result.forked && signature !== this.lastSignature) this.emit('fork', result)
+    this.lastSignature = signature
+    return result
+  })
+}
+
+Self.prototype._partition = function (members, commonHeight) {
+  var groups = {}
+  members.forEach((member) => {
+    if (!groups[member.hash]) groups[member.hash] = []
+    groups[member.hash].push(member)
+  })
+
+  // The partition with the most nodes is treated as the main chain
+  var partitions = Object.keys(groups).map((hash) => groups[hash]).sort((a, b) => b.length - a.length)
+  var majority = partitions[0]
+
+  return Promise.all(partitions.map((partition, index) => {
+    if (index === 0) return Promise.resolve(null)
+    return this._findDivergence(majority[0], partition[0], commonHeight)
+  })).then((divergences) => {
+    return {
+      forked: (partitions.length > 1),
+      commonHeight: commonHeight,
+      checkedAt: Date.now(),
+      partitions: partitions.map((partition, index) => {
+        var top = partition.slice().sort((x, y) => y.topHeight - x.topHeight)[0]
+        return {
+          nodes: partition.map((member) => member.id),
+          hash: partition[0].hash,
+          topHeight: top.topHeight,
+          topHash: top.topHash,
+          divergedAt: divergences[index]
+        }
+      })
+    }
+  })
+}
+
+/*
+  Binary searches for the first height at which the two nodes disagree,
+  bounded by maxDepth below the height we already know they disagree at
+*/
+
+Self.prototype._findDivergence = function (a, b, disagreeHeight) {
+  var low = Math.max(0, disagreeHeight - this.maxDepth)
+  var high = disagreeHeight
+
+  const agreeAt = (height) => {
+    return Promise.all([hashAt(a, height), hashAt(b, height)]).then((hashes) => hashes[0] === hashes[1])
+  }
+
+  return agreeAt(low).then((agreed) => {
+    // They disagree even at the bottom of the window, report the window's edge
+    if (!agreed) return low
+
+    const search = () => {
+      if (high - low <= 1) return Promise.resolve(high)
+      var mid = Math.floor((low + high) / 2)
+      return agreeAt(mid).then((agreed) => {
+        if (agreed) {
+          low = mid
+        } else {
+          high = mid
+        }
+        return search()
+      })
+    }
+
+    return search()
+  }).catch(() => {
+    return undefined
+  })
+}
+
+/*
+  Helper functions
+*/
+
+function hashAt (member, height) {
+  return member.rpc.getBlockHeaderByHeight({ height: height }).then((header) => header.hash)
+}
+
+function minOf (arr) {
+  return arr.reduce((a, b) => Math.min(a, b))
+}
+
+module.exports = Self
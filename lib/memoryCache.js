@@ -0,0 +1,64 @@
+// Copyright (c) 2018, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const NodeCache = require('node-cache')
+
+/*
+  In-process cache adapter. Every method returns a Promise so that
+  it can be swapped for a shared backend such as the Redis adapter.
+  Entries that never expire are dropped after foreverTimeout seconds all
+  the same, they can be fetched again and the process would otherwise
+  keep every confirmed block that was ever asked for
+*/
+
+function Self (opts) {
+  opts = opts || {}
+  if (!(this instanceof Self)) return new Self(opts)
+  this.cacheTimeout = opts.cacheTimeout || 30
+  this.foreverTimeout = opts.foreverTimeout || 86400
+  this.cache = new NodeCache({ stdTTL: this.cacheTimeout, checkperiod: (Math.round(this.cacheTimeout / 2)) })
+}
+
+Self.prototype.get = function (key) {
+  return Promise.resolve(this.cache.get(key))
+}
+
+Self.prototype.set = function (key, value, ttl) {
+  if (ttl === undefined) ttl = this.cacheTimeout
+  // node-cache keeps entries with a TTL of 0 for good
+  this.cache.set(key, value, (ttl === 'forever') ? this.foreverTimeout : Math.max(ttl, 1))
+  return Promise.resolve()
+}
+
+Self.prototype.del = function (key) {
+  this.cache.del(key)
+  return Promise.resolve()
+}
+
+// Resolves the value of key after adding amount to it, the count is dropped ttl seconds after it was last changed
+
+Self.prototype.incr = function (key, ttl, amount) {
+  var count = (this.cache.get(key) || 0) + (amount || 1)
+  this.cache.set(key, count, ttl)
+  return Promise.resolve(count)
+}
+
+// There is only ever one process using this cache so whoever asks holds the lock
+
+Self.prototype.lock = function (name, owner, ttl) {
+  return Promise.resolve(true)
+}
+
+Self.prototype.stats = function () {
+  return Promise.resolve({ keys: this.cache.getStats().keys })
+}
+
+Self.prototype.close = function () {
+  this.cache.close()
+  return Promise.resolve()
+}
+
+module.exports = Self
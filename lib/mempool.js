@@ -0,0 +1,172 @@
+// Copyright (c) 2018, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const util = require('util')
+
+/*
+  Sums up the mempools of the nodes in the node pool and recommends fees
+  from them and the blocks that were mined recently. Nodes do not tell us
+  when they received a transaction so the age of a transaction is counted
+  from when we first saw it, which is never before observingSince
+*/
+
+function Self (opts) {
+  opts = opts || {}
+  if (!(this instanceof Self)) return new Self(opts)
+  this.recentBlocks = opts.recentBlocks || 30
+  this.targets = Object.assign({ high: 1, normal: 3, low: 6 }, opts.targets || {})
+  this.firstSeen = new Map()
+  this.observingSince = Date.now()
+}
+
+/*
+  Merges what every node answered as { host, port, transactions } or
+  { host, port, error } into one list of transactions, each with the
+  nodes that have it in seenBy
+*/
+
+Self.prototype.merge = function (answers) {
+  var now = Date.now()
+  var merged = new Map()
+
+  answers.filter((answer) => !answer.error).forEach((answer) => {
+    var id = util.format('%s:%s', answer.host, answer.port)
+    answer.transactions.forEach((transaction) => {
+      if (!merged.has(transaction.hash)) {
+        merged.set(transaction.hash, {
+          hash: transaction.hash,
+          fee: transaction.fee,
+          size: transaction.size,
+          seenBy: []
+        })
+      }
+      merged.get(transaction.hash).seenBy.push(id)
+    })
+  })
+
+  // Transactions that left every mempool are forgotten so that they do not pile up
+  Array.from(this.firstSeen.keys()).forEach((hash) => {
+    if (!merged.has(hash)) this.firstSeen.delete(hash)
+  })
+  merged.forEach((transaction, hash) => {
+    if (!this.firstSeen.has(hash)) this.firstSeen.set(hash, now)
+  })
+
+  return Array.from(merged.values())
+}
+
+Self.prototype.stats = function (answers) {
+  var transactions = this.merge(answers)
+  var answered = answers.filter((answer) => !answer.error).length
+  var now = Date.now()
+
+  var oldest = transactions.reduce((oldest, transaction) => {
+    var seen = this.firstSeen.get(transaction.hash)
+    return (!oldest || seen < oldest.seen) ? { hash: transaction.hash, seen: seen } : oldest
+  }, undefined)
+
+  return {
+    count: transactions.length,
+    size: transactions.reduce((total, transaction) => total + transaction.size, 0),
+    fees: percentiles(transactions.map((transaction) => transaction.fee)),
+    feePerByte: percentiles(transactions.map(feePerByte)),
+    oldest: (oldest) ? { hash: oldest.hash, age: Math.floor((now - oldest.seen) / 1000) } : null,
+    observingSince: this.observingSince,
+    partial: transactions.filter((transaction) => transaction.seenBy.length < answered).map((transaction) => {
+      return { hash: transaction.hash, seenBy: transaction.seenBy }
+    }),
+    nodes: answers.map((answer) => {
+      var node = { host: answer.host, port: answer.port }
+      if (answer.error) {
+        node.error = answer.error
+      } else {
+        node.count = answer.transactions.length
+      }
+      return node
+    })
+  }
+}
+
+/*
+  The fee per byte that gets a transaction mined within each of the
+  targets, in blocks, given the mempool and the recent blocks as returned
+  by f_block_json. Nothing below the lowest fee per byte paid in the recent
+  blocks is recommended, and while the mempool fits in the blocks of a
+  target that is all it takes
+*/
+
+Self.prototype.recommend = function (answers, blocks) {
+  var transactions = this.merge(answers)
+  blocks = blocks.map((data) => (data && data.block) ? data.block : data).filter((block) => block && typeof block.height === 'number')
+  blocks.sort((a, b) => a.height - b.height)
+
+  var paid = [].concat.apply([], blocks.map((block) => block.transactions || [])).filter((transaction) => transaction.fee > 0 && transaction.size > 0)
+  var floor = (paid.length !== 0) ? Math.min.apply(null, paid.map(feePerByte)) : 0
+
+  var latest = blocks[blocks.length - 1] || {}
+  var capacity = latest.effectiveSizeMedian || latest.sizeMedian || Math.max.apply(null, [0].concat(blocks.map((block) => block.blockSize || 0)))
+
+  // The best paying transactions are mined first, a new one has to beat the one that would fill up the target
+  var queue = transactions.slice().sort((a, b) => feePerByte(b) - feePerByte(a))
+  var size = queue.reduce((total, transaction) => total + transaction.size, 0)
+  const toBeat = (blocks) => {
+    var room = blocks * capacity
+    var filled = 0
+    for (var i = 0; i < queue.length; i++) {
+      filled += queue[i].size
+      if (filled > room) return feePerByte(queue[i])
+    }
+    return 0
+  }
+
+  var recommended = {}
+  Object.keys(this.targets).forEach((name) => {
+    recommended[name] = (capacity) ? Math.max(floor, toBeat(this.targets[name])) : floor
+  })
+
+  return {
+    feePerByte: recommended,
+    targets: this.targets,
+    backlog: (capacity) ? Math.round(size / capacity * 100) / 100 : null,
+    mempool: {
+      count: queue.length,
+      size: size
+    },
+    blocks: {
+      from: (blocks.length !== 0) ? blocks[0].height : null,
+      to: (blocks.length !== 0) ? latest.height : null,
+      transactions: paid.length,
+      capacity: capacity || null
+    }
+  }
+}
+
+/*
+  Helper functions
+*/
+
+function feePerByte (transaction) {
+  return (transaction.size > 0) ? transaction.fee / transaction.size : 0
+}
+
+// Nearest rank percentiles, or null if there is nothing to rank
+
+function percentiles (values) {
+  if (values.length === 0) return null
+  var sorted = values.slice().sort((a, b) => a - b)
+  const rank = (percentile) => sorted[Math.max(Math.ceil(percentile / 100 * sorted.length) - 1, 0)]
+  return {
+    min: sorted[0],
+    p10: rank(10),
+    p25: rank(25),
+    p50: rank(50),
+    p75: rank(75),
+    p90: rank(90),
+    max: sorted[sorted.length - 1]
+  }
+}
+
+module.exports = Self
@@ -0,0 +1,283 @@
+// Copyright (c) 2018, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const util = require('util')
+
+const defaultBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+/*
+  A minimal metrics registry that renders the Prometheus text format. When
+  aggregate is set, as it is under PM2 cluster mode, every worker periodically
+  writes a snapshot of its metrics to a shared directory and whichever worker
+  is scraped merges the snapshots of all live workers into one answer.
+  Counters and histograms are summed while gauges are summed, take the
+  highest value or only report the scraped worker's own value. The
+  counters and histograms of a worker that is gone are taken over by the
+  worker that finds its snapshot, so that the sums never go backwards
+*/
+
+function Self (opts) {
+  opts = opts || {}
+  if (!(this instanceof Self)) return new Self(opts)
+  this.prefix = (opts.prefix !== undefined) ? opts.prefix : 'turtlecoin_proxy_'
+  this.aggregate = opts.aggregate || false
+  this.directory = opts.directory || false
+  this.interval = opts.interval || 5000
+  this.metrics = {}
+  this.inherited = {}
+  this.collectors = []
+  this.timer = null
+}
+
+Self.prototype.counter = function (name, help) {
+  return this._define(name, 'counter', help, {})
+}
+
+// aggregation is 'sum', 'max' or 'local'
+
+Self.prototype.gauge = function (name, help, aggregation) {
+  return this._define(name, 'gauge', help, { aggregation: aggregation || 'max' })
+}
+
+Self.prototype.histogram = function (name, help, buckets) {
+  return this._define(name, 'histogram', help, { buckets: buckets || defaultBuckets })
+}
+
+Self.prototype.inc = function (name, labels, value) {
+  var series = this._series(name, labels)
+  series.value += (value !== undefined) ? value : 1
+}
+
+Self.prototype.set = function (name, labels, value) {
+  if (typeof value !== 'number' || isNaN(value)) return
+  this._series(name, labels).value = value
+}
+
+Self.prototype.observe = function (name, labels, value) {
+  var metric = this.metrics[name]
+  var series = this._series(name, labels)
+  for (var i = 0; i < metric.buckets.length; i++) {
+    if (value <= metric.buckets[i]) series.buckets[i]++
+  }
+  series.sum += value
+  series.count++
+}
+
+// Collectors run before every snapshot and scrape to fill in gauges that are read rather than tracked
+
+Self.prototype.collect = function (fn) {
+  this.collectors.push(fn)
+}
+
+Self.prototype.start = function () {
+  if (!this.aggregate || this.timer) return
+  this._writeSnapshot()
+  this.timer = setInterval(() => {
+    this._writeSnapshot()
+  }, this.interval)
+}
+
+// Our snapshot is left behind so that whoever takes over our counters finds it
+
+Self.prototype.stop = function () {
+  if (this.timer) clearInterval(this.timer)
+  this.timer = null
+}
+
+Self.prototype.render = function () {
+  // The snapshots are read first as that is when we take over the counters of workers that are gone
+  var others = (this.aggregate) ? this._readSnapshots() : Promise.resolve([])
+  return others.then((others) => {
+    return this.snapshot().then((own) => merge(own, others))
+  }).then((metrics) => {
+    return Object.keys(metrics).map((name) => format(this.prefix + name, metrics[name])).join('')
+  })
+}
+
+Self.prototype.snapshot = function () {
+  return Promise.all(this.collectors.map((fn) => {
+    return Promise.resolve().then(fn).catch(() => {})
+  })).then(() => {
+    return merge(JSON.parse(JSON.stringify(this.metrics)), [JSON.parse(JSON.stringify(this.inherited))])
+  })
+}
+
+Self.prototype._define = function (name, type, help, opts) {
+  if (!this.metrics[name]) {
+    this.metrics[name] = Object.assign({ type: type, help: help, series: {} }, opts)
+  }
+  return this.metrics[name]
+}
+
+Self.prototype._series = function (name, labels) {
+  var metric = this.metrics[name]
+  if (!metric) throw new Error(util.format('Unknown metric: %s', name))
+  labels = labels || {}
+  var key = Object.keys(labels).sort().map((label) => util.format('%s=%s', label, labels[label])).join(',')
+  if (!metric.series[key]) {
+    metric.series[key] = (metric.type === 'histogram')
+      ? { labels: labels, buckets: metric.buckets.map(() => 0), sum: 0, count: 0 }
+      : { labels: labels, value: 0 }
+  }
+  return metric.series[key]
+}
+
+Self.prototype._snapshotFile = function (pid) {
+  return path.join(this.directory, util.format('%s.json', pid))
+}
+
+Self.prototype._writeSnapshot = function () {
+  return this.snapshot().then((metrics) => {
+    // We may have been stopped while the collectors ran
+    if (!this.timer) return
+    var file = this._snapshotFile(process.pid)
+    var temporary = util.format('%s.tmp', file)
+    var content = JSON.stringify({ pid: process.pid, updated: Date.now(), metrics: metrics })
+    return new Promise((resolve, reject) => {
+      fs.mkdir(this.directory, (err) => {
+        if (err && err.code !== 'EEXIST') return resolve()
+        fs.writeFile(temporary, content, (err) => {
+          if (err) return resolve()
+          fs.rename(temporary, file, () => {
+            return resolve()
+          })
+        })
+      })
+    })
+  })
+}
+
+// Resolves the metrics of every other live worker, the snapshots left behind by workers that are gone are taken over
+
+Self.prototype._readSnapshots = function () {
+  return new Promise((resolve, reject) => {
+    fs.readdir(this.directory, (err, files) => {
+      if (err) return resolve([])
+      files = files.filter((file) => file.endsWith('.json') && file !== util.format('%s.json', process.pid))
+      return resolve(Promise.all(files.map((file) => {
+        var filename = path.join(this.directory, file)
+        return readSnapshot(filename).then((snapshot) => {
+          if (!snapshot) return undefined
+          if (snapshot.updated >= Date.now() - this.interval * 3) return snapshot.metrics
+          return this._takeOver(filename).then(() => undefined)
+        })
+      })).then((snapshots) => snapshots.filter((metrics) => metrics !== undefined)))
+    })
+  })
+}
+
+/*
+  Adds the counters and histograms of the snapshot of a worker that is gone
+  to our own. The snapshot is renamed before it is read so that only one
+  worker ever takes it over, whoever loses the race finds nothing to rename
+*/
+
+Self.prototype._takeOver = function (filename) {
+  var claimed = util.format('%s.%s.retired', filename, process.pid)
+  return new Promise((resolve, reject) => {
+    fs.rename(filename, claimed, (err) => {
+      if (err) return resolve()
+      readSnapshot(claimed).then((snapshot) => {
+        if (snapshot) {
+          var kept = {}
+          Object.keys(snapshot.metrics).forEach((name) => {
+            var metric = snapshot.metrics[name]
+            if (metric.type === 'gauge') return
+            kept[name] = metric
+            if (!this.inherited[name]) this.inherited[name] = Object.assign({}, metric, { series: {} })
+          })
+          this.inherited = merge(this.inherited, [kept])
+        }
+        fs.unlink(claimed, () => {
+          return resolve()
+        })
+      })
+    })
+  })
+}
+
+/*
+  Helper functions
+*/
+
+// Resolves the parsed snapshot or undefined when it can not be read, the worker may be in the middle of replacing it
+
+function readSnapshot (filename) {
+  return new Promise((resolve, reject) => {
+    fs.readFile(filename, 'utf8', (err, content) => {
+      if (err) return resolve()
+      try {
+        return resolve(JSON.parse(content))
+      } catch (e) {
+        return resolve()
+      }
+    })
+  })
+}
+
+function merge (own, others) {
+  others.forEach((metrics) => {
+    Object.keys(metrics).forEach((name) => {
+      var metric = own[name]
+      var other = metrics[name]
+      if (!metric || metric.type !== other.type) return
+      if (metric.type === 'gauge' && metric.aggregation === 'local') return
+      Object.keys(other.series).forEach((key) => {
+        var series = metric.series[key]
+        var theirs = other.series[key]
+        if (!series) {
+          metric.series[key] = theirs
+          return
+        }
+        if (metric.type === 'histogram') {
+          series.buckets = series.buckets.map((count, index) => count + (theirs.buckets[index] || 0))
+          series.sum += theirs.sum
+          series.count += theirs.count
+        } else if (metric.type === 'gauge' && metric.aggregation === 'max') {
+          series.value = Math.max(series.value, theirs.value)
+        } else {
+          series.value += theirs.value
+        }
+      })
+    })
+  })
+  return own
+}
+
+function format (name, metric) {
+  var lines = [
+    util.format('# HELP %s %s', name, metric.help),
+    util.format('# TYPE %s %s', name, metric.type)
+  ]
+  Object.keys(metric.series).forEach((key) => {
+    var series = metric.series[key]
+    if (metric.type !== 'histogram') {
+      lines.push(util.format('%s%s %s', name, formatLabels(series.labels), series.value))
+      return
+    }
+    metric.buckets.forEach((bucket, index) => {
+      lines.push(util.format('%s_bucket%s %s', name, formatLabels(series.labels, { le: bucket }), series.buckets[index]))
+    })
+    lines.push(util.format('%s_bucket%s %s', name, formatLabels(series.labels, { le: '+Inf' }), series.count))
+    lines.push(util.format('%s_sum%s %s', name, formatLabels(series.labels), series.sum))
+    lines.push(util.format('%s_count%s %s', name, formatLabels(series.labels), series.count))
+  })
+  return lines.join('\n') + '\n'
+}
+
+function formatLabels (labels, extra) {
+  labels = Object.assign({}, labels, extra)
+  var keys = Object.keys(labels)
+  if (keys.length === 0) return ''
+  return util.format('{%s}', keys.map((key) => {
+    var value = labels[key].toString().replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+    return util.format('%s="%s"', key, value)
+  }).join(','))
+}
+
+module.exports = Self
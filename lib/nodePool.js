@@ -0,0 +1,252 @@
+// Copyright (c) 2018, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const inherits = require('util').inherits
+const EventEmitter = require('events').EventEmitter
+const util = require('util')
+const TurtleCoind = require('turtlecoin-rpc').TurtleCoind
+
+function Self (opts) {
+  opts = opts || {}
+  if (!(this instanceof Self)) return new Self(opts)
+  this.timeout = opts.timeout || 5000
+  this.probeInterval = opts.probeInterval || 15000
+  this.maxLag = (opts.maxLag !== undefined) ? opts.maxLag : 2
+  this.retries = (opts.retries !== undefined) ? opts.retries : 2
+  this.failureThreshold = opts.failureThreshold || 3
+  this.cooldown = opts.cooldown || 30000
+  this.networkHeight = 0
+  this.nodes = []
+  this.setNodes(opts.nodes || [])
+}
+inherits(Self, EventEmitter)
+
+Self.prototype.start = function () {
+  if (this.probeTimer) return
+  this.probe()
+  this.probeTimer = setInterval(() => {
+    this.probe()
+  }, this.probeInterval)
+}
+
+Self.prototype.stop = function () {
+  if (this.probeTimer) clearInterval(this.probeTimer)
+  this.probeTimer = null
+}
+
+// Replaces the list of nodes while keeping the health history of nodes we already know about
+
+Self.prototype.setNodes = function (list) {
+  var nodes = []
+  var seen = {}
+  for (var i = 0; i < list.length; i++) {
+    var id = util.format('%s:%s', list[i].host, list[i].port)
+    if (seen[id]) continue
+    seen[id] = true
+    var existing = this.nodes.filter((node) => node.id === id)[0]
+    nodes.push(existing || {
+      id: id,
+      host: list[i].host,
+      port: list[i].port,
+      rpc: new TurtleCoind({ host: list[i].host, port: list[i].port, timeout: this.timeout }),
+      height: 0,
+      latency: 0,
+      errorRate: 0,
+      failures: 0,
+      openUntil: 0,
+      lastProbe: 0,
+      lastError: null
+    })
+  }
+  this.nodes = nodes
+}
+
+Self.prototype.probe = function () {
+  var promises = this.nodes.map((node) => {
+    var start = Date.now()
+    return node.rpc.getHeight().then((data) => {
+      node.height = data.height
+      node.lastProbe = Date.now()
+      this._recordSuccess(node, Date.now() - start)
+    }).catch((err) => {
+      node.lastProbe = Date.now()
+      this._recordError(node, err, Date.now() - start)
+    })
+  })
+  return Promise.all(promises).then(() => {
+    var heights = this.nodes.filter((node) => node.failures === 0 && node.height > 0).map((node) => node.height)
+    if (heights.length !== 0) {
+      heights.sort((a, b) => a - b)
+      this.networkHeight = heights[Math.floor(heights.length / 2)]
+    }
+    this.emit('probe', this.status())
+  })
+}
+
+/*
+  Runs fn(rpc) against the healthiest node, retrying on a different
+  node each time it fails until we run out of nodes or retries. An error
+  that the node answered with is passed on as it is, another node would
+  only tell us the same. With nodes set only the nodes whose ids are
+  listed are considered
+*/
+
+Self.prototype.execute = function (fn, opts) {
+  return new Promise((resolve, reject) => {
+    var tried = []
+    var lastError = new Error('No nodes available')
+
+    const attempt = () => {
+      if (tried.length > this.retries) return reject(lastError)
+      var node = this.select(tried, opts)
+      if (!node) return reject(lastError)
+      tried.push(node.id)
+
+      var start = Date.now()
+      Promise.resolve().then(() => fn(node.rpc, node)).then((result) => {
+        this._recordSuccess(node, Date.now() - start)
+        return resolve(result)
+      }).catch((err) => {
+        if (!this._recordError(node, err, Date.now() - start)) return reject(err)
+        lastError = err
+        return attempt()
+      })
+    }
+
+    attempt()
+  })
+}
+
+/*
+  Runs fn(rpc) against up to limit of the healthiest nodes at once and
+  resolves what every one of them answered as { node, result } or
+  { node, error }, so that one node failing does not fail the rest
+*/
+
+Self.prototype.broadcast = function (fn, limit) {
+  var nodes = this.healthy()
+  if (limit) nodes = nodes.slice(0, limit)
+
+  return Promise.all(nodes.map((node) => {
+    var start = Date.now()
+    return Promise.resolve().then(() => fn(node.rpc, node)).then((result) => {
+      this._recordSuccess(node, Date.now() - start)
+      return { node: node, result: result }
+    }).catch((err) => {
+      this._recordError(node, err, Date.now() - start)
+      return { node: node, error: err }
+    })
+  }))
+}
+
+// The nodes that are in rotation, only the synced ones if there are any, best first
+
+Self.prototype.healthy = function () {
+  var now = Date.now()
+  var closed = this.nodes.filter((node) => node.openUntil <= now)
+  var synced = closed.filter((node) => node.height > 0 && this._lag(node) <= this.maxLag)
+  var pool = (synced.length !== 0) ? synced : closed
+  return pool.slice().sort((a, b) => this._score(a) - this._score(b))
+}
+
+/*
+  Picks the best node that is not in the exclude list. Nodes with an open
+  circuit are skipped and synced nodes are preferred, but when nothing
+  healthy is left we would rather try something than fail outright
+*/
+
+Self.prototype.select = function (exclude, opts) {
+  exclude = exclude || []
+  var now = Date.now()
+  var candidates = this.nodes.filter((node) => exclude.indexOf(node.id) === -1)
+  if (opts && opts.nodes) candidates = candidates.filter((node) => opts.nodes.indexOf(node.id) !== -1)
+  var closed = candidates.filter((node) => node.openUntil <= now)
+  var synced = closed.filter((node) => node.height > 0 && this._lag(node) <= this.maxLag)
+
+  var pool = (synced.length !== 0) ? synced : (closed.length !== 0) ? closed : candidates
+  if (pool.length === 0) return undefined
+  return pool.slice().sort((a, b) => this._score(a) - this._score(b))[0]
+}
+
+Self.prototype.status = function () {
+  var now = Date.now()
+  return this.nodes.map((node) => {
+    return {
+      host: node.host,
+      port: node.port,
+      height: node.height,
+      lag: this._lag(node),
+      latency: Math.round(node.latency),
+      errorRate: Math.round(node.errorRate * 1000) / 1000,
+      available: (node.openUntil <= now),
+      synced: (node.height > 0 && this._lag(node) <= this.maxLag),
+      lastProbe: node.lastProbe,
+      lastError: node.lastError
+    }
+  })
+}
+
+Self.prototype._lag = function (node) {
+  return Math.max(0, this.networkHeight - node.height)
+}
+
+// Lower is better: latency penalized by error rate, plus a heavy penalty for every block behind
+
+Self.prototype._score = function (node) {
+  return (node.latency || this.timeout) * (1 + node.errorRate * 10) + this._lag(node) * 1000
+}
+
+Self.prototype._recordSuccess = function (node, latency) {
+  node.latency = (node.latency === 0) ? latency : node.latency * 0.8 + latency * 0.2
+  node.errorRate = node.errorRate * 0.8
+  if (node.failures >= this.failureThreshold) {
+    this.emit('info', util.format('Node %s has recovered', node.id))
+  }
+  node.failures = 0
+  node.openUntil = 0
+}
+
+/*
+  Only a node that could not be reached, timed out or failed with a 5xx is
+  held responsible for an error, the errors it answers bad requests with,
+  including JSON-RPC errors, show that it is working. Returns whether the
+  error counted as a failure
+*/
+
+Self.prototype._recordError = function (node, err, latency) {
+  if (isNodeFailure(err)) {
+    this._recordFailure(node, err)
+    return true
+  }
+  this._recordSuccess(node, latency)
+  return false
+}
+
+Self.prototype._recordFailure = function (node, err) {
+  node.errorRate = node.errorRate * 0.8 + 0.2
+  node.failures++
+  node.lastError = (err instanceof Error) ? err.message : util.format('%s', err)
+  if (node.failures >= this.failureThreshold) {
+    if (node.openUntil <= Date.now()) {
+      this.emit('info', util.format('Node %s taken out of rotation after %s consecutive failures', node.id, node.failures))
+    }
+    node.openUntil = Date.now() + this.cooldown
+  }
+}
+
+/*
+  Helper functions
+*/
+
+function isNodeFailure (err) {
+  if (!err || typeof err !== 'object') return false
+  // request-promise wraps connection errors and timeouts in a RequestError
+  if (err.name === 'RequestError') return true
+  if (err.name === 'StatusCodeError') return (err.statusCode >= 500)
+  return false
+}
+
+module.exports = Self
@@ -0,0 +1,156 @@
+// Copyright (c) 2018, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const util = require('util')
+
+/*
+  Pools run different software and every one of them has its own idea of what a
+  stats API looks like. An adapter recognizes one of those shapes and turns it
+  into { height, difficulty, hashrate, miners, lastBlockFound } where
+  lastBlockFound is a timestamp in milliseconds. Adapters may also name other
+  URLs to fetch when a pool spreads its stats over more than one endpoint
+
+  {
+    name: 'my-pool-software',
+    detect: (data) => boolean,
+    related: (url) => [urls], // optional
+    normalize: (responses) => { ... } // responses[0] is the configured URL, followed by the related URLs
+  }
+*/
+
+const builtin = [
+  {
+    // cryptonote-nodejs-pool and its forks add worker counts and the last block to the classic layout
+    name: 'cryptonote-nodejs-pool',
+    detect: (data) => {
+      return (isObject(data.network) && isObject(data.pool) && (data.pool.workers !== undefined || isObject(data.lastblock)))
+    },
+    normalize: (responses) => {
+      var data = responses[0]
+      var lastBlockFound = toNumber(data.pool.lastBlockFound)
+      if (!lastBlockFound && isObject(data.lastblock)) lastBlockFound = secondsToMilliseconds(data.lastblock.timestamp)
+      var miners = toNumber(data.pool.miners)
+      if (miners !== undefined) miners += toNumber(data.pool.minersSolo) || 0
+      return {
+        height: toNumber(data.network.height),
+        difficulty: toNumber(data.network.difficulty),
+        hashrate: toNumber(data.pool.hashrate),
+        miners: miners,
+        lastBlockFound: lastBlockFound
+      }
+    }
+  },
+  {
+    name: 'node-cryptonote-pool',
+    detect: (data) => {
+      return isObject(data.network)
+    },
+    normalize: (responses) => {
+      var data = responses[0]
+      var pool = data.pool || {}
+      return {
+        height: toNumber(data.network.height),
+        difficulty: toNumber(data.network.difficulty),
+        hashrate: toNumber(pool.hashrate),
+        miners: toNumber(pool.miners),
+        lastBlockFound: toNumber(pool.lastBlockFound)
+      }
+    }
+  },
+  {
+    // snipa's nodejs-pool splits the pool and network stats over /pool/stats and /network/stats
+    name: 'nodejs-pool',
+    detect: (data) => {
+      return isObject(data.pool_statistics)
+    },
+    related: (url) => {
+      if (/\/pool\/stats\/?$/.test(url)) return [url.replace(/\/pool\/stats\/?$/, '/network/stats')]
+      return []
+    },
+    normalize: (responses) => {
+      var stats = responses[0].pool_statistics || {}
+      var network = responses[1] || {}
+      return {
+        height: toNumber(network.height),
+        difficulty: toNumber(network.difficulty),
+        hashrate: toNumber(stats.hashRate),
+        miners: toNumber(stats.miners),
+        lastBlockFound: secondsToMilliseconds(stats.lastBlockFoundTime)
+      }
+    }
+  },
+  {
+    // Custom APIs that simply report the values at the top level
+    name: 'generic',
+    detect: (data) => {
+      return (toNumber(data.height) !== undefined && toNumber(data.difficulty) !== undefined)
+    },
+    normalize: (responses) => {
+      var data = responses[0]
+      return {
+        height: toNumber(data.height),
+        difficulty: toNumber(data.difficulty),
+        hashrate: toNumber(data.hashrate || data.hashRate),
+        miners: toNumber(data.miners),
+        lastBlockFound: toNumber(data.lastBlockFound)
+      }
+    }
+  }
+]
+
+function Self (opts) {
+  opts = opts || {}
+  if (!(this instanceof Self)) return new Self(opts)
+  this.adapters = []
+  // Custom adapters are tried before the built-in ones
+  var custom = opts.adapters || []
+  custom.concat(builtin).forEach((adapter) => this.register(adapter))
+}
+
+Self.prototype.register = function (adapter) {
+  if (!adapter || !adapter.name || typeof adapter.detect !== 'function' || typeof adapter.normalize !== 'function') {
+    throw new Error('Pool adapters must have a name, a detect function and a normalize function')
+  }
+  this.adapters.push(adapter)
+}
+
+Self.prototype.get = function (name) {
+  var adapter = this.adapters.filter((adapter) => adapter.name === name)[0]
+  if (!adapter) throw new Error(util.format('Unknown pool adapter: %s', name))
+  return adapter
+}
+
+Self.prototype.detect = function (data) {
+  if (!isObject(data)) return undefined
+  return this.adapters.filter((adapter) => {
+    try {
+      return adapter.detect(data)
+    } catch (e) {
+      return false
+    }
+  })[0]
+}
+
+/*
+  Helper functions
+*/
+
+function isObject (value) {
+  return (value !== null && typeof value === 'object' && !Array.isArray(value))
+}
+
+function toNumber (value) {
+  if (value === undefined || value === null || value === '') return undefined
+  var number = Number(value)
+  return (isNaN(number)) ? undefined : number
+}
+
+function secondsToMilliseconds (value) {
+  var seconds = toNumber(value)
+  return (seconds !== undefined) ? seconds * 1000 : undefined
+}
+
+module.exports = Self
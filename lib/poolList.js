@@ -0,0 +1,279 @@
+// Copyright (c) 2018, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const inherits = require('util').inherits
+const EventEmitter = require('events').EventEmitter
+const fs = require('fs')
+const path = require('path')
+const util = require('util')
+const Request = require('request-promise')
+
+const defaultUrl = 'https://raw.githubusercontent.com/turtlecoin/turtlecoin-pools-json/master/turtlecoin-pools.json'
+
+/*
+  Supplies the list of pools from one of three sources: the inline list we were
+  constructed with, a local file that is watched for changes or a URL that is
+  polled with ETag/If-Modified-Since. Every list is validated before it is used
+  and the last good list from a file or URL is saved to cacheFile so that a
+  restart without network access still has pools to work with
+*/
+
+function Self (opts) {
+  opts = opts || {}
+  if (!(this instanceof Self)) return new Self(opts)
+  this.inline = opts.pools || []
+  this.source = opts.source || ((this.inline.length !== 0) ? 'inline' : 'url')
+  this.url = opts.url || defaultUrl
+  this.file = opts.file || false
+  this.refreshInterval = opts.refreshInterval || (60 * 60 * 1000)
+  this.retryInterval = opts.retryInterval || (60 * 1000)
+  this.timeout = opts.timeout || 5000
+  this.cacheFile = (opts.cacheFile !== undefined) ? opts.cacheFile : false
+  this.etag = null
+  this.lastModified = null
+  this.pools = []
+  this.timer = null
+
+  if (['inline', 'file', 'url'].indexOf(this.source) === -1) throw new Error(util.format('Unknown pool list source: %s', this.source))
+  if (this.source === 'file' && !this.file) throw new Error('A file must be supplied for the file pool list source')
+
+  if (this.source === 'inline') {
+    var result = validate(this.inline)
+    if (result.rejected.length !== 0) throw new Error(util.format('Invalid pools supplied: %s', result.rejected.join(', ')))
+    this.pools = result.pools
+  }
+}
+inherits(Self, EventEmitter)
+
+Self.prototype.start = function () {
+  if (this.source === 'inline') return Promise.resolve(this.pools)
+  this.running = true
+
+  return this._loadCache().then(() => {
+    if (!this.running) return this.pools
+    if (this.source === 'file') {
+      fs.watchFile(this.file, { persistent: false, interval: 5000 }, (current, previous) => {
+        if (current.mtime.getTime() === previous.mtime.getTime()) return
+        this.refresh().catch(() => {})
+      })
+      this.watching = true
+      return this.refresh().catch(() => this.pools)
+    }
+
+    // Try again sooner than usual when the list could not be fetched
+    const schedule = (interval) => {
+      if (this.running) this.timer = setTimeout(poll, interval)
+    }
+    const poll = () => {
+      return this.refresh().then(() => {
+        schedule(this.refreshInterval)
+        return this.pools
+      }).catch(() => {
+        schedule(this.retryInterval)
+        return this.pools
+      })
+    }
+    return poll()
+  })
+}
+
+Self.prototype.stop = function () {
+  this.running = false
+  if (this.timer) clearTimeout(this.timer)
+  this.timer = null
+  if (this.watching) fs.unwatchFile(this.file)
+  this.watching = false
+}
+
+// Resolves the current list, which only changes if the source supplied a valid new one
+
+Self.prototype.refresh = function () {
+  var load
+  switch (this.source) {
+    case 'file':
+      load = this._readFile()
+      break
+    case 'url':
+      load = this._fetchUrl()
+      break
+    default:
+      return Promise.resolve(this.pools)
+  }
+
+  return load.then((data) => {
+    // The URL has not changed since we last fetched it
+    if (data === undefined) return this.pools
+    var result = validate(data)
+    result.rejected.forEach((reason) => {
+      this.emit('info', util.format('Ignoring pool list entry: %s', reason))
+    })
+    if (result.pools.length === 0) throw new Error('The pool list does not contain any valid pools')
+    this._update(result.pools)
+    return this._saveCache().then(() => this.pools)
+  }).catch((err) => {
+    this.emit('error', util.format('Could not refresh the pool list from %s: %s', (this.source === 'file') ? this.file : this.url, err.message || err))
+    throw err
+  })
+}
+
+Self.prototype._update = function (pools) {
+  var changed = (JSON.stringify(pools) !== JSON.stringify(this.pools))
+  this.pools = pools
+  if (changed) this.emit('update', pools)
+}
+
+Self.prototype._readFile = function () {
+  return new Promise((resolve, reject) => {
+    fs.readFile(this.file, 'utf8', (err, content) => {
+      if (err) return reject(err)
+      try {
+        return resolve(JSON.parse(content))
+      } catch (e) {
+        return reject(e)
+      }
+    })
+  })
+}
+
+Self.prototype._fetchUrl = function () {
+  var headers = {}
+  if (this.etag) headers['If-None-Match'] = this.etag
+  if (this.lastModified) headers['If-Modified-Since'] = this.lastModified
+
+  return Request({
+    method: 'GET',
+    uri: this.url,
+    headers: headers,
+    json: true,
+    timeout: this.timeout,
+    simple: false,
+    resolveWithFullResponse: true
+  }).then((response) => {
+    if (response.statusCode === 304) return undefined
+    if (response.statusCode !== 200) throw new Error(util.format('Received HTTP %s', response.statusCode))
+    this.etag = response.headers['etag'] || null
+    this.lastModified = response.headers['last-modified'] || null
+    return response.body
+  })
+}
+
+Self.prototype._loadCache = function () {
+  if (!this.cacheFile) return Promise.resolve()
+  return new Promise((resolve, reject) => {
+    fs.readFile(this.cacheFile, 'utf8', (err, content) => {
+      if (err) return resolve()
+      try {
+        var cache = JSON.parse(content)
+        // A list saved from a different source is of no use to us
+        if (cache.source !== this.source || cache.location !== this._location()) return resolve()
+        var result = validate(cache.pools)
+        if (result.pools.length === 0) return resolve()
+        this.etag = cache.etag || null
+        this.lastModified = cache.lastModified || null
+        this._update(result.pools)
+        this.emit('info', util.format('Loaded %s pools from %s', result.pools.length, this.cacheFile))
+      } catch (e) {
+        this.emit('error', util.format('Could not read the saved pool list from %s: %s', this.cacheFile, e.message))
+      }
+      return resolve()
+    })
+  })
+}
+
+Self.prototype._saveCache = function () {
+  if (!this.cacheFile) return Promise.resolve()
+  var content = JSON.stringify({
+    source: this.source,
+    location: this._location(),
+    etag: this.etag,
+    lastModified: this.lastModified,
+    savedAt: Date.now(),
+    pools: this.pools
+  }, null, 2)
+  var temporary = util.format('%s.%s.tmp', this.cacheFile, process.pid)
+
+  return new Promise((resolve, reject) => {
+    fs.mkdir(path.dirname(this.cacheFile), (err) => {
+      if (err && err.code !== 'EEXIST') return reject(err)
+      // Write then rename so that a crash never leaves a half written list behind
+      fs.writeFile(temporary, content, (err) => {
+        if (err) return reject(err)
+        fs.rename(temporary, this.cacheFile, (err) => {
+          if (err) return reject(err)
+          return resolve()
+        })
+      })
+    })
+  }).catch((err) => {
+    this.emit('error', util.format('Could not save the pool list to %s: %s', this.cacheFile, err.message))
+  })
+}
+
+Self.prototype._location = function () {
+  return (this.source === 'file') ? path.resolve(this.file) : this.url
+}
+
+/*
+  Helper functions
+*/
+
+/*
+  Accepts either our own format, an array of { name, url, type, trust }, or
+  the format of the official TurtleCoin pools list which is an object keyed
+  by pool name whose url is the base of the pool's API. The type in the
+  official list names the pool software rather than one of our adapters,
+  so it is left out and the adapter is detected from the stats instead
+*/
+
+function validate (data) {
+  var entries
+  if (Array.isArray(data)) {
+    entries = data
+  } else if (data !== null && typeof data === 'object') {
+    entries = Object.keys(data).map((name) => {
+      var entry = data[name]
+      if (entry === null || typeof entry !== 'object' || typeof entry.url !== 'string') return { name: name }
+      return {
+        name: name,
+        url: util.format('%s%sstats', entry.url, (entry.url.endsWith('/')) ? '' : '/'),
+        trust: entry.trust
+      }
+    })
+  } else {
+    return { pools: [], rejected: ['the pool list must be an array or an object'] }
+  }
+
+  var pools = []
+  var rejected = []
+  var names = {}
+  entries.forEach((entry, index) => {
+    var reason = invalidReason(entry)
+    if (!reason && names[entry.name.toLowerCase()]) reason = 'duplicate name'
+    if (reason) {
+      rejected.push(util.format('%s (%s)', (entry && typeof entry.name === 'string') ? entry.name : index, reason))
+      return
+    }
+    names[entry.name.toLowerCase()] = true
+    var pool = { name: entry.name, url: entry.url }
+    if (entry.type !== undefined) pool.type = entry.type
+    if (entry.trust !== undefined) pool.trust = entry.trust
+    pools.push(pool)
+  })
+  return { pools: pools, rejected: rejected }
+}
+
+function invalidReason (entry) {
+  if (entry === null || typeof entry !== 'object') return 'must be an object'
+  if (typeof entry.name !== 'string' || entry.name.trim().length === 0) return 'name must be a non-empty string'
+  if (typeof entry.url !== 'string' || !/^https?:\/\/[^\s/]+/i.test(entry.url)) return 'url must be an http or https URL'
+  if (entry.type !== undefined && (typeof entry.type !== 'string' || entry.type.length === 0)) return 'type must be a non-empty string'
+  if (entry.trust !== undefined && (typeof entry.trust !== 'number' || isNaN(entry.trust) || entry.trust < 0)) return 'trust must be a number of at least 0'
+  return undefined
+}
+
+Self.validate = validate
+
+module.exports = Self
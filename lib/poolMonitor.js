@@ -0,0 +1,85 @@
+// Copyright (c) 2018, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+/*
+  Keeps the history of every check we make against a pool's stats API so that
+  we can report its response time and uptime over a rolling window, and notice
+  when the height it reports has stopped moving
+*/
+
+function Self (opts) {
+  opts = opts || {}
+  if (!(this instanceof Self)) return new Self(opts)
+  this.window = opts.window || (24 * 60 * 60 * 1000)
+  this.stuckAfter = opts.stuckAfter || (10 * 60 * 1000)
+  this.pools = {}
+}
+
+Self.prototype.record = function (name, result) {
+  var now = Date.now()
+  var pool = this.pools[name] || {
+    checks: [],
+    height: 0,
+    heightChangedAt: 0,
+    lastSeen: 0,
+    lastError: null
+  }
+  this.pools[name] = pool
+
+  pool.checks.push({ at: now, ok: result.ok, responseTime: result.responseTime })
+  pool.checks = pool.checks.filter((check) => check.at > now - this.window)
+
+  if (!result.ok) {
+    pool.lastError = result.error || null
+    return
+  }
+  pool.lastSeen = now
+  if (result.height !== pool.height) {
+    pool.height = result.height
+    pool.heightChangedAt = now
+  }
+}
+
+// Forgets the history of pools that are no longer in the list
+
+Self.prototype.prune = function (names) {
+  Object.keys(this.pools).forEach((name) => {
+    if (names.indexOf(name) === -1) delete this.pools[name]
+  })
+}
+
+Self.prototype.status = function (name) {
+  var now = Date.now()
+  var pool = this.pools[name]
+  if (!pool) {
+    return {
+      checks: 0,
+      uptime: null,
+      responseTime: null,
+      lastResponseTime: null,
+      lastSeen: 0,
+      lastError: null,
+      heightChangedAt: 0,
+      stuck: false
+    }
+  }
+
+  var checks = pool.checks.filter((check) => check.at > now - this.window)
+  var answered = checks.filter((check) => check.ok)
+  var last = checks[checks.length - 1]
+  return {
+    checks: checks.length,
+    uptime: (checks.length !== 0) ? Math.round(answered.length / checks.length * 1000) / 1000 : null,
+    responseTime: (answered.length !== 0) ? Math.round(answered.reduce((a, b) => a + b.responseTime, 0) / answered.length) : null,
+    lastResponseTime: (last) ? last.responseTime : null,
+    lastSeen: pool.lastSeen,
+    lastError: pool.lastError,
+    heightChangedAt: pool.heightChangedAt,
+    stuck: (pool.heightChangedAt !== 0 && now - pool.heightChangedAt > this.stuckAfter)
+  }
+}
+
+module.exports = Self
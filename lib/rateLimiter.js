@@ -0,0 +1,108 @@
+// Copyright (c) 2018, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const util = require('util')
+
+// Requests allowed per window, 0 means unlimited
+const defaultTiers = {
+  anonymous: { requests: 60, expensive: 10 },
+  standard: { requests: 600, expensive: 120 },
+  unlimited: { requests: 0, expensive: 0 }
+}
+
+// Methods, and the routes that stand in for them, that cost the daemon or the database the most
+const defaultExpensive = ['f_blocks_list_json', 'getblocktemplate']
+
+/*
+  Counts what each client does within fixed windows. Every client has a
+  budget for all of its requests and a separate, smaller, one for expensive
+  methods. The counts live in the response cache when it can count, so a
+  shared cache enforces one limit across every worker, and in this process
+  otherwise
+*/
+
+function Self (opts) {
+  opts = opts || {}
+  if (!(this instanceof Self)) return new Self(opts)
+  this.enabled = (opts.enabled !== undefined) ? opts.enabled : true
+  this.window = opts.window || 60
+  this.expensive = opts.expensive || defaultExpensive
+  this.anonymousTier = opts.anonymousTier || 'anonymous'
+  this.keyTier = opts.keyTier || 'standard'
+  this.tiers = {}
+  this.counters = {}
+
+  var tiers = Object.assign({}, defaultTiers, opts.tiers || {})
+  Object.keys(tiers).forEach((name) => {
+    var tier = tiers[name] || {}
+    ;['requests', 'expensive'].forEach((budget) => {
+      if (tier[budget] !== undefined && (typeof tier[budget] !== 'number' || tier[budget] % 1 !== 0 || tier[budget] < 0)) {
+        throw new Error(util.format('The %s limit of rate limit tier %s must be an integer of at least 0', budget, name))
+      }
+    })
+    this.tiers[name] = { requests: tier.requests || 0, expensive: tier.expensive || 0 }
+  })
+
+  ;[this.anonymousTier, this.keyTier].forEach((name) => {
+    if (!this.tiers[name]) throw new Error(util.format('Unknown rate limit tier: %s', name))
+  })
+}
+
+Self.prototype.isExpensive = function (method) {
+  return (this.expensive.indexOf(method) !== -1)
+}
+
+// Keys assigned to a tier that no longer exists fall back to the tier for keys
+
+Self.prototype.tier = function (name) {
+  return (this.tiers[name]) ? name : this.keyTier
+}
+
+/*
+  Takes amount from the client's budget and resolves
+  { limited, limit, remaining, reset } where reset is the number of seconds
+  until the window ends, or undefined when the budget is unlimited
+*/
+
+Self.prototype.consume = function (cache, client, tier, budget, amount) {
+  var limit = this.tiers[this.tier(tier)][budget]
+  if (!this.enabled || !limit) return Promise.resolve(undefined)
+  amount = amount || 1
+
+  var now = Date.now()
+  var windowMs = this.window * 1000
+  var start = now - (now % windowMs)
+  var key = util.format('ratelimit:%s:%s:%s', budget, client, start)
+
+  return this._count(cache, key, amount).then((count) => {
+    return {
+      limited: (count > limit),
+      limit: limit,
+      remaining: Math.max(limit - count, 0),
+      reset: Math.ceil((start + windowMs - now) / 1000)
+    }
+  })
+}
+
+Self.prototype._count = function (cache, key, amount) {
+  if (cache && typeof cache.incr === 'function') return cache.incr(key, this.window, amount)
+
+  var now = Date.now()
+  if (!this.counters[key]) {
+    // A new window has started for someone, a good time to drop the windows that are over
+    Object.keys(this.counters).forEach((name) => {
+      if (this.counters[name].expires <= now) delete this.counters[name]
+    })
+  }
+  var counter = this.counters[key] || { count: 0, expires: now + this.window * 1000 }
+  counter.count += amount
+  this.counters[key] = counter
+  return Promise.resolve(counter.count)
+}
+
+Self.defaultTiers = defaultTiers
+
+module.exports = Self
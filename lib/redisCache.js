@@ -0,0 +1,250 @@
+// Copyright (c) 2018, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const inherits = require('util').inherits
+const EventEmitter = require('events').EventEmitter
+const net = require('net')
+const util = require('util')
+
+/*
+  Shared cache adapter that speaks the Redis protocol (RESP) so that every
+  worker in a cluster sees the same cached answers. It only needs GET, SET,
+  DEL, INCRBY, EVAL, AUTH and SELECT so it works against Redis and most
+  stand-ins. A command that is not answered within timeout milliseconds
+  fails and the connection is dropped, as the answers that are still on
+  their way could no longer be matched to their commands
+*/
+
+// Extends a lock that is still held by the owner, in one step so that it can not expire in between
+const renewLock = [
+  'if redis.call("GET", KEYS[1]) == ARGV[1] then',
+  '  return redis.call("PEXPIRE", KEYS[1], ARGV[2])',
+  'end',
+  'return 0'
+].join('\n')
+
+function Self (opts) {
+  opts = opts || {}
+  if (!(this instanceof Self)) return new Self(opts)
+  this.host = opts.host || '127.0.0.1'
+  this.port = opts.port || 6379
+  this.password = opts.password || false
+  this.db = opts.db || 0
+  this.prefix = (opts.prefix !== undefined) ? opts.prefix : 'turtlecoin-api-proxy:'
+  this.cacheTimeout = opts.cacheTimeout || 30
+  this.timeout = opts.timeout || 5000
+  this.socket = null
+  this.connecting = null
+  this.pending = []
+  this.buffer = Buffer.alloc(0)
+}
+inherits(Self, EventEmitter)
+
+Self.prototype.get = function (key) {
+  return this._command(['GET', this.prefix + key]).then((value) => {
+    if (value === null) return undefined
+    return JSON.parse(value)
+  })
+}
+
+Self.prototype.set = function (key, value, ttl) {
+  if (value === undefined) return Promise.resolve()
+  ttl = (ttl !== undefined) ? ttl : this.cacheTimeout
+  var args = ['SET', this.prefix + key, JSON.stringify(value)]
+  if (ttl !== 'forever') args.push('EX', Math.max(Math.ceil(ttl), 1))
+  return this._command(args).then(() => {})
+}
+
+Self.prototype.del = function (key) {
+  return this._command(['DEL', this.prefix + key]).then(() => {})
+}
+
+/*
+  Resolves the value of key after adding amount to it, the count expires
+  ttl seconds after it was created. The count is created along with its
+  expiry before it is added to, so that it can never be left without one
+*/
+
+Self.prototype.incr = function (key, ttl, amount) {
+  key = this.prefix + key
+  return Promise.all([
+    this._command(['SET', key, 0, 'PX', Math.ceil(ttl * 1000), 'NX']),
+    this._command(['INCRBY', key, amount || 1])
+  ]).then((results) => results[1])
+}
+
+/*
+  Resolves true if owner now holds the named lock for ttl seconds,
+  either because it was free or because owner already held it
+*/
+
+Self.prototype.lock = function (name, owner, ttl) {
+  var key = this.prefix + 'lock:' + name
+  var ms = Math.ceil(ttl * 1000)
+  return this._command(['SET', key, owner, 'NX', 'PX', ms]).then((result) => {
+    if (result === 'OK') return true
+    return this._command(['EVAL', renewLock, 1, key, owner, ms]).then((renewed) => renewed === 1)
+  })
+}
+
+Self.prototype.close = function () {
+  if (!this.socket) return Promise.resolve()
+  return new Promise((resolve, reject) => {
+    this.socket.once('close', () => {
+      return resolve()
+    })
+    this.socket.end()
+  })
+}
+
+Self.prototype._connect = function () {
+  if (this.socket) return Promise.resolve()
+  if (this.connecting) return this.connecting
+
+  this.connecting = new Promise((resolve, reject) => {
+    var socket = net.connect({ host: this.host, port: this.port })
+    socket.setTimeout(this.timeout)
+
+    socket.once('connect', () => {
+      socket.setTimeout(0)
+      this.socket = socket
+      this.connecting = null
+
+      var setup = []
+      if (this.password) setup.push(this._command(['AUTH', this.password]))
+      if (this.db) setup.push(this._command(['SELECT', this.db]))
+      Promise.all(setup).then(() => {
+        return resolve()
+      }).catch((err) => {
+        socket.destroy()
+        return reject(err)
+      })
+    })
+
+    socket.on('data', (data) => {
+      this.buffer = Buffer.concat([this.buffer, data])
+      this._drain()
+    })
+
+    socket.on('timeout', () => {
+      socket.destroy(new Error(util.format('Timed out connecting to %s:%s', this.host, this.port)))
+    })
+
+    socket.on('error', (err) => {
+      this.emit('error', err)
+    })
+
+    socket.on('close', () => {
+      if (this.socket === socket) this.socket = null
+      if (this.connecting) {
+        this.connecting = null
+        reject(new Error(util.format('Unable to connect to %s:%s', this.host, this.port)))
+      }
+      this.buffer = Buffer.alloc(0)
+      var pending = this.pending
+      this.pending = []
+      pending.forEach((request) => {
+        clearTimeout(request.timer)
+        request.reject(new Error('Connection closed'))
+      })
+    })
+  })
+
+  return this.connecting
+}
+
+Self.prototype._command = function (args) {
+  const send = () => {
+    return new Promise((resolve, reject) => {
+      var socket = this.socket
+      var request = {
+        resolve: resolve,
+        reject: reject,
+        timer: setTimeout(() => {
+          reject(new Error(util.format('Timed out waiting for %s from %s:%s', args[0], this.host, this.port)))
+          socket.destroy()
+        }, this.timeout)
+      }
+      this.pending.push(request)
+      socket.write(encode(args))
+    })
+  }
+  if (this.socket) return send()
+  return this._connect().then(send)
+}
+
+Self.prototype._drain = function () {
+  while (this.pending.length !== 0) {
+    var reply
+    try {
+      reply = decode(this.buffer, 0)
+    } catch (e) {
+      this.socket.destroy(e)
+      return
+    }
+    if (!reply) return
+    this.buffer = this.buffer.slice(reply.offset)
+    var request = this.pending.shift()
+    clearTimeout(request.timer)
+    if (reply.value instanceof Error) {
+      request.reject(reply.value)
+    } else {
+      request.resolve(reply.value)
+    }
+  }
+}
+
+/*
+  Helper functions
+*/
+
+function encode (args) {
+  var parts = [util.format('*%s\r\n', args.length)]
+  args.forEach((arg) => {
+    arg = arg.toString()
+    parts.push(util.format('$%s\r\n%s\r\n', Buffer.byteLength(arg), arg))
+  })
+  return parts.join('')
+}
+
+// Returns { value, offset } for a complete reply at offset or undefined if we need more data
+
+function decode (buffer, offset) {
+  var end = buffer.indexOf('\r\n', offset)
+  if (end === -1) return undefined
+  var type = String.fromCharCode(buffer[offset])
+  var line = buffer.toString('utf8', offset + 1, end)
+  var next = end + 2
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next }
+    case '-':
+      return { value: new Error(line), offset: next }
+    case ':':
+      return { value: parseInt(line), offset: next }
+    case '$':
+      var length = parseInt(line)
+      if (length === -1) return { value: null, offset: next }
+      if (buffer.length < next + length + 2) return undefined
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 }
+    case '*':
+      var count = parseInt(line)
+      if (count === -1) return { value: null, offset: next }
+      var values = []
+      for (var i = 0; i < count; i++) {
+        var item = decode(buffer, next)
+        if (!item) return undefined
+        values.push(item.value)
+        next = item.offset
+      }
+      return { value: values, offset: next }
+    default:
+      throw new Error(util.format('Unexpected reply type from cache server: %s', type))
+  }
+}
+
+module.exports = Self
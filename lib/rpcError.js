@@ -0,0 +1,36 @@
+// Copyright (c) 2018, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const inherits = require('util').inherits
+
+function Self (code, message, data) {
+  if (!(this instanceof Self)) return new Self(code, message, data)
+  Error.call(this)
+  if (Error.captureStackTrace) Error.captureStackTrace(this, Self)
+  this.name = 'RpcError'
+  this.code = code
+  this.message = message
+  this.data = data
+}
+inherits(Self, Error)
+
+// Standard JSON-RPC 2.0 error codes
+Self.PARSE_ERROR = -32700
+Self.INVALID_REQUEST = -32600
+Self.METHOD_NOT_FOUND = -32601
+Self.INVALID_PARAMS = -32602
+Self.INTERNAL_ERROR = -32603
+
+Self.prototype.toJSON = function () {
+  var error = {
+    code: this.code,
+    message: this.message
+  }
+  if (this.data !== undefined) error.data = this.data
+  return error
+}
+
+module.exports = Self
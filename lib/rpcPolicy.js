@@ -0,0 +1,111 @@
+// Copyright (c) 2018, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const RpcError = require('./rpcError.js')
+const util = require('util')
+
+const ALLOW = 'allow'
+const DENY = 'deny'
+const AUTHENTICATED = 'authenticated'
+
+// The methods that the proxy knows how to handle and what we permit by default
+const defaultMethods = {
+  f_blocks_list_json: ALLOW,
+  f_block_json: ALLOW,
+  f_transaction_json: ALLOW,
+  getblockcount: ALLOW,
+  on_getblockhash: ALLOW,
+  getlastblockheader: ALLOW,
+  getblockheaderbyhash: ALLOW,
+  getblockheaderbyheight: ALLOW,
+  f_on_transactions_pool_json: ALLOW,
+  getcurrencyid: ALLOW,
+  f_gettransactionsbypaymentid: ALLOW,
+  sendrawtransaction: ALLOW,
+  getblocktemplate: AUTHENTICATED,
+  submitblock: AUTHENTICATED
+}
+
+function Self (opts) {
+  opts = opts || {}
+  if (!(this instanceof Self)) return new Self(opts)
+  this.defaultAction = opts.defaultAction || DENY
+  this.methods = {}
+
+  var methods = Object.assign({}, defaultMethods, opts.methods || {})
+  Object.keys(methods).forEach((method) => {
+    this.methods[method] = normalizeRule(methods[method])
+  })
+}
+
+/*
+  Returns an RpcError describing why the call is not permitted
+  or undefined if the call may proceed
+*/
+
+Self.prototype.check = function (method, params, context) {
+  context = context || {}
+  var rule = this.methods[method] || normalizeRule(this.defaultAction)
+
+  if (rule.action === DENY) {
+    return new RpcError(RpcError.METHOD_NOT_FOUND, 'Method not found', { method: method, reason: 'Method is not permitted' })
+  }
+
+  if (rule.action === AUTHENTICATED && !context.authenticated) {
+    return new RpcError(RpcError.METHOD_NOT_FOUND, 'Method not found', { method: method, reason: 'Method requires an authenticated API key' })
+  }
+
+  var names = Object.keys(rule.params)
+  for (var i = 0; i < names.length; i++) {
+    var name = names[i]
+    var value = (params !== undefined && params !== null) ? params[name] : undefined
+    var violation = checkParam(rule.params[name], value)
+    if (violation) {
+      return new RpcError(RpcError.INVALID_PARAMS, 'Invalid params', { method: method, param: name, reason: violation })
+    }
+  }
+}
+
+/*
+  Helper functions
+*/
+
+function normalizeRule (rule) {
+  if (typeof rule === 'string') rule = { action: rule }
+  rule = rule || {}
+  var action = rule.action || ALLOW
+  if ([ALLOW, DENY, AUTHENTICATED].indexOf(action) === -1) {
+    throw new Error(util.format('Unknown JSON-RPC policy action: %s', action))
+  }
+  return { action: action, params: rule.params || {} }
+}
+
+function checkParam (constraint, value) {
+  if (value === undefined) {
+    return (constraint.required) ? 'Parameter is required' : undefined
+  }
+  var type = (Array.isArray(value)) ? 'array' : typeof value
+  if (constraint.type && type !== constraint.type) {
+    return util.format('Parameter must be of type %s', constraint.type)
+  }
+  if ((constraint.min !== undefined || constraint.max !== undefined) && isNaN(Number(value))) {
+    return 'Parameter must be numeric'
+  }
+  if (constraint.min !== undefined && Number(value) < constraint.min) {
+    return util.format('Parameter must be at least %s', constraint.min)
+  }
+  if (constraint.max !== undefined && Number(value) > constraint.max) {
+    return util.format('Parameter must be at most %s', constraint.max)
+  }
+  if (constraint.maxLength !== undefined && value.length > constraint.maxLength) {
+    return util.format('Parameter must not be longer than %s', constraint.maxLength)
+  }
+  if (Array.isArray(constraint.enum) && constraint.enum.indexOf(value) === -1) {
+    return util.format('Parameter must be one of %s', constraint.enum.join(', '))
+  }
+}
+
+module.exports = Self
@@ -0,0 +1,215 @@
+// Copyright (c) 2018, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const dns = require('dns')
+const net = require('net')
+
+// Address ranges that should never be reachable through the proxy unless explicitly allowed
+const privateRanges = [
+  '0.0.0.0/8',
+  '10.0.0.0/8',
+  '100.64.0.0/10',
+  '127.0.0.0/8',
+  '169.254.0.0/16',
+  '172.16.0.0/12',
+  '192.0.0.0/24',
+  '192.168.0.0/16',
+  '198.18.0.0/15',
+  '224.0.0.0/4',
+  '240.0.0.0/4',
+  '::/128',
+  '::1/128',
+  'fc00::/7',
+  'fe80::/10',
+  'ff00::/8'
+].map(parseCidr)
+
+function Self (opts) {
+  opts = opts || {}
+  if (!(this instanceof Self)) return new Self(opts)
+  this.mode = (opts.mode === 'allowlist') ? 'allowlist' : 'denylist'
+  this.blockPrivate = (opts.blockPrivate !== undefined) ? opts.blockPrivate : true
+  this.minPort = opts.minPort || 1
+  this.maxPort = opts.maxPort || 65535
+  this.lookup = opts.lookup || dns.lookup
+
+  this.hostRules = []
+  this.cidrRules = []
+  var rules = opts.rules || []
+  for (var i = 0; i < rules.length; i++) {
+    var rule = rules[i].toString().trim().toLowerCase()
+    var cidr = parseCidr(rule)
+    if (cidr) {
+      this.cidrRules.push(cidr)
+    } else {
+      this.hostRules.push(rule)
+    }
+  }
+}
+
+/*
+  Resolves with { allowed, host, port, addresses, address, reason }
+  and never rejects so that callers can always answer the client. The
+  target must be reached at address, which is one of the addresses that
+  were checked, as the name may resolve elsewhere when it is looked up again
+*/
+
+Self.prototype.check = function (host, port) {
+  return new Promise((resolve, reject) => {
+    host = (host || '').toString().trim().toLowerCase()
+    if (host.length === 0) return resolve(deny(host, port, 'No target host supplied'))
+
+    if (port !== undefined) {
+      var portNumber = Number(port)
+      if (!Number.isInteger(portNumber) || portNumber < this.minPort || portNumber > this.maxPort) {
+        return resolve(deny(host, port, 'Target port is outside of the permitted range'))
+      }
+    }
+
+    var hostMatched = this._matchesHost(host)
+    if (this.mode === 'denylist' && hostMatched) {
+      return resolve(deny(host, port, 'Target host is denied'))
+    }
+
+    this._resolve(host).then((addresses) => {
+      var matches = addresses.map((address) => this._matchesCidr(address))
+
+      if (this.mode === 'denylist' && matches.indexOf(true) !== -1) {
+        return resolve(deny(host, port, 'Target address is denied'))
+      }
+
+      if (this.mode === 'allowlist' && !hostMatched && matches.indexOf(false) !== -1) {
+        return resolve(deny(host, port, 'Target is not in the allowlist'))
+      }
+
+      if (this.blockPrivate) {
+        for (var i = 0; i < addresses.length; i++) {
+          // An explicit address rule in allowlist mode overrides the private range block
+          if (this.mode === 'allowlist' && matches[i]) continue
+          if (isPrivate(addresses[i])) {
+            return resolve(deny(host, port, 'Target resolves to a private or reserved address'))
+          }
+        }
+      }
+
+      return resolve({ allowed: true, host: host, port: port, addresses: addresses, address: addresses[0] })
+    }).catch(() => {
+      return resolve(deny(host, port, 'Unable to resolve target host'))
+    })
+  })
+}
+
+Self.prototype._resolve = function (host) {
+  return new Promise((resolve, reject) => {
+    var literal = stripBrackets(host)
+    if (net.isIP(literal)) return resolve([literal])
+    this.lookup(host, { all: true }, (err, results) => {
+      if (err) return reject(err)
+      if (!results || results.length === 0) return reject(new Error('No addresses found'))
+      return resolve(results.map((result) => result.address))
+    })
+  })
+}
+
+Self.prototype._matchesHost = function (host) {
+  for (var i = 0; i < this.hostRules.length; i++) {
+    var rule = this.hostRules[i]
+    if (rule === host) return true
+    if (rule.indexOf('*.') === 0 && host.endsWith(rule.slice(1))) return true
+  }
+  return false
+}
+
+Self.prototype._matchesCidr = function (address) {
+  for (var i = 0; i < this.cidrRules.length; i++) {
+    if (cidrContains(this.cidrRules[i], address)) return true
+  }
+  return false
+}
+
+/*
+  Helper functions
+*/
+
+function deny (host, port, reason) {
+  return { allowed: false, host: host, port: port, reason: reason }
+}
+
+function stripBrackets (host) {
+  if (host.indexOf('[') === 0 && host.endsWith(']')) return host.slice(1, -1)
+  return host
+}
+
+function isPrivate (address) {
+  var bytes = parseAddress(address)
+  if (!bytes) return true
+
+  // IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges
+  if (bytes.length === 16 && bytes.slice(0, 10).every((b) => b === 0) && bytes[10] === 0xff && bytes[11] === 0xff) {
+    bytes = bytes.slice(12)
+  }
+
+  for (var i = 0; i < privateRanges.length; i++) {
+    if (bytesMatch(privateRanges[i], bytes)) return true
+  }
+  return false
+}
+
+function parseCidr (str) {
+  var parts = str.split('/')
+  if (parts.length > 2) return undefined
+  var bytes = parseAddress(parts[0])
+  if (!bytes) return undefined
+  var bits = (parts.length === 2) ? parseInt(parts[1]) : bytes.length * 8
+  if (isNaN(bits) || bits < 0 || bits > bytes.length * 8) return undefined
+  return { bytes: bytes, bits: bits }
+}
+
+function cidrContains (cidr, address) {
+  var bytes = parseAddress(address)
+  if (!bytes) return false
+  return bytesMatch(cidr, bytes)
+}
+
+function bytesMatch (cidr, bytes) {
+  if (cidr.bytes.length !== bytes.length) return false
+  var bits = cidr.bits
+  for (var i = 0; i < bytes.length && bits > 0; i++) {
+    var mask = (bits >= 8) ? 0xff : (0xff << (8 - bits)) & 0xff
+    if ((cidr.bytes[i] & mask) !== (bytes[i] & mask)) return false
+    bits -= 8
+  }
+  return true
+}
+
+function parseAddress (address) {
+  address = stripBrackets(address).split('%')[0]
+  var version = net.isIP(address)
+  if (version === 4) return address.split('.').map((octet) => parseInt(octet))
+  if (version !== 6) return undefined
+
+  var tail = []
+  var lastColon = address.lastIndexOf(':')
+  if (address.indexOf('.', lastColon) !== -1) {
+    tail = address.slice(lastColon + 1).split('.').map((octet) => parseInt(octet))
+    address = address.slice(0, lastColon + 1) + '0:0'
+  }
+
+  var halves = address.split('::')
+  var head = (halves[0].length) ? halves[0].split(':') : []
+  var rest = (halves.length > 1 && halves[1].length) ? halves[1].split(':') : []
+  var groups = head.concat(new Array(8 - head.length - rest.length).fill('0'), rest)
+
+  var bytes = []
+  groups.forEach((group) => {
+    var value = parseInt(group, 16)
+    bytes.push(value >> 8, value & 0xff)
+  })
+  if (tail.length === 4) bytes.splice(12, 4, tail[0], tail[1], tail[2], tail[3])
+  return bytes
+}
+
+module.exports = Self
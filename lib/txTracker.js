@@ -0,0 +1,120 @@
+// Copyright (c) 2018, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Keccak = require('keccak')
+const util = require('util')
+
+const PENDING = 'pending'
+const MEMPOOL = 'mempool'
+const MINED = 'mined'
+const DROPPED = 'dropped'
+const REJECTED = 'rejected'
+
+/*
+  Checks the transactions that we are asked to relay and follows the ones
+  that a node accepted until they are mined or leave the mempool without
+  being mined. A transaction that never shows up in the mempool is given
+  up on after maxPending milliseconds. Every worker follows the
+  transactions that it relayed itself, the status of each one is kept in
+  the response cache so that any worker can answer for it
+*/
+
+function Self (opts) {
+  opts = opts || {}
+  if (!(this instanceof Self)) return new Self(opts)
+  this.minSize = opts.minSize || 64
+  this.maxSize = opts.maxSize || 125000
+  this.relayTo = opts.relayTo || 3
+  this.interval = opts.interval || 10000
+  this.maxPending = opts.maxPending || 600000
+  this.retention = opts.retention || 86400
+  this.maxTracked = opts.maxTracked || 1000
+  this.tracked = new Map()
+}
+
+// Turns the hex blob of a transaction into { blob, hash, size } or { error }
+
+Self.prototype.parse = function (hex) {
+  if (typeof hex !== 'string' || hex.length === 0) return { error: 'tx_as_hex must be the transaction as a hex string' }
+  if (hex.length % 2 !== 0 || !/^[0-9a-fA-F]+$/.test(hex)) return { error: 'tx_as_hex is not valid hex' }
+
+  var size = hex.length / 2
+  if (size < this.minSize) return { error: util.format('The transaction must be at least %s bytes', this.minSize) }
+  if (size > this.maxSize) return { error: util.format('The transaction may not be more than %s bytes', this.maxSize) }
+
+  var blob = hex.toLowerCase()
+  return {
+    blob: blob,
+    hash: Keccak('keccak256').update(Buffer.from(blob, 'hex')).digest('hex'),
+    size: size
+  }
+}
+
+/*
+  The status of a transaction that we relayed given what every node that
+  we relayed it to answered as { host, port, accepted, error }
+*/
+
+Self.prototype.submitted = function (hash, relays) {
+  var now = Date.now()
+  return {
+    hash: hash,
+    status: (relays.some((relay) => relay.accepted)) ? PENDING : REJECTED,
+    submitted: now,
+    updated: now,
+    relays: relays
+  }
+}
+
+// Starts following the transaction, the oldest one is let go of when we follow too many
+
+Self.prototype.track = function (entry) {
+  if (isFinal(entry)) return
+  this.tracked.delete(entry.hash)
+  this.tracked.set(entry.hash, entry)
+  if (this.tracked.size > this.maxTracked) this.tracked.delete(this.tracked.keys().next().value)
+}
+
+Self.prototype.tracking = function () {
+  return Array.from(this.tracked.values())
+}
+
+/*
+  The new status of a transaction that is, or is not, in the mempool and
+  was, or was not, found in block, or undefined if nothing changed. We stop
+  following it once it is mined or dropped
+*/
+
+Self.prototype.update = function (entry, inPool, block) {
+  var next
+
+  if (block) {
+    next = { status: MINED, height: block.height, blockHash: block.hash }
+  } else if (inPool) {
+    if (entry.status !== MEMPOOL) next = { status: MEMPOOL }
+  } else if (entry.status === MEMPOOL || Date.now() - entry.submitted > this.maxPending) {
+    next = { status: DROPPED }
+  }
+
+  if (!next) return undefined
+  var updated = Object.assign({}, entry, next, { updated: Date.now() })
+  if (isFinal(updated)) {
+    this.tracked.delete(entry.hash)
+  } else {
+    this.tracked.set(entry.hash, updated)
+  }
+  return updated
+}
+
+/*
+  Helper functions
+*/
+
+function isFinal (entry) {
+  return ([MINED, DROPPED, REJECTED].indexOf(entry.status) !== -1)
+}
+
+module.exports = Self
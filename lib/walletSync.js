@@ -0,0 +1,127 @@
+// Copyright (c) 2018, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const util = require('util')
+
+/*
+  Checks the wallet sync requests that we answer in place of the daemon and
+  keeps them within our batch limits. getwalletsyncdata is served out of
+  batches of batchSize blocks that start on aligned heights so that every
+  wallet syncing through the same part of the chain shares the cached
+  answer, and a wallet that asked from the middle of a batch is only sent
+  the part of it that it asked for
+*/
+
+function Self (opts) {
+  opts = opts || {}
+  if (!(this instanceof Self)) return new Self(opts)
+  this.batchSize = opts.batchSize || 100
+  this.maxBlockCount = opts.maxBlockCount || 100
+  this.maxBlockIds = opts.maxBlockIds || 100
+  this.maxIndexRange = opts.maxIndexRange || 1000
+}
+
+/*
+  Turns a getwalletsyncdata body into { startHeight, startTimestamp,
+  checkpoints, skipCoinbaseTransactions, blockCount } or { error }
+*/
+
+Self.prototype.parseSyncData = function (body) {
+  body = body || {}
+  var request = {
+    startHeight: (body.startHeight !== undefined) ? body.startHeight : 0,
+    startTimestamp: (body.startTimestamp !== undefined) ? body.startTimestamp : 0,
+    checkpoints: (body.blockHashCheckpoints !== undefined) ? body.blockHashCheckpoints : [],
+    skipCoinbaseTransactions: !!body.skipCoinbaseTransactions,
+    blockCount: (body.blockCount !== undefined) ? body.blockCount : this.maxBlockCount
+  }
+
+  if (!isHeight(request.startHeight)) return { error: 'startHeight must be an integer of at least 0' }
+  if (!isHeight(request.startTimestamp)) return { error: 'startTimestamp must be an integer of at least 0' }
+  if (!isHeight(request.blockCount) || request.blockCount === 0) return { error: 'blockCount must be an integer of at least 1' }
+  var invalid = invalidHashes('blockHashCheckpoints', request.checkpoints, this.maxBlockIds)
+  if (invalid) return { error: invalid }
+
+  request.blockCount = Math.min(request.blockCount, this.maxBlockCount)
+  return request
+}
+
+// Turns a queryblockslite body into { blockIds, timestamp } or { error }
+
+Self.prototype.parseQueryBlocksLite = function (body) {
+  body = body || {}
+  var request = {
+    blockIds: body.blockIds,
+    timestamp: (body.timestamp !== undefined) ? body.timestamp : 0
+  }
+
+  var invalid = invalidHashes('blockIds', request.blockIds, this.maxBlockIds)
+  if (invalid) return { error: invalid }
+  if (request.blockIds.length === 0) return { error: 'blockIds must not be empty' }
+  if (!isHeight(request.timestamp)) return { error: 'timestamp must be an integer of at least 0' }
+  return request
+}
+
+// Turns a get_global_indexes_for_range body into { startHeight, endHeight } or { error }
+
+Self.prototype.parseIndexRange = function (body) {
+  body = body || {}
+  if (!isHeight(body.startHeight)) return { error: 'startHeight must be an integer of at least 0' }
+  if (!isHeight(body.endHeight)) return { error: 'endHeight must be an integer of at least 0' }
+  if (body.startHeight > body.endHeight) return { error: 'startHeight must not be above endHeight' }
+  if (body.endHeight - body.startHeight > this.maxIndexRange) return { error: util.format('The range may not span more than %s blocks', this.maxIndexRange) }
+  return { startHeight: body.startHeight, endHeight: body.endHeight }
+}
+
+// The height of the aligned batch that height falls in
+
+Self.prototype.batchStart = function (height) {
+  return Math.floor(height / this.batchSize) * this.batchSize
+}
+
+/*
+  The blockCount items of a getwalletsyncdata answer from startHeight on,
+  which is only synced if it still ends where the answer did
+*/
+
+Self.prototype.slice = function (data, startHeight, blockCount) {
+  var all = data.items.filter((item) => item.blockHeight >= startHeight)
+  var items = all.slice(0, blockCount)
+  var synced = (items.length === all.length && !!data.synced)
+  var result = {
+    items: items,
+    status: 'OK',
+    synced: synced
+  }
+  if (synced && data.topBlock) result.topBlock = data.topBlock
+  return result
+}
+
+// Keeps a queryblockslite answer within maxBlockCount blocks
+
+Self.prototype.limitBlocksLite = function (data) {
+  if (!Array.isArray(data.items) || data.items.length <= this.maxBlockCount) return data
+  return Object.assign({}, data, { items: data.items.slice(0, this.maxBlockCount) })
+}
+
+/*
+  Helper functions
+*/
+
+function isHeight (value) {
+  return (typeof value === 'number' && value % 1 === 0 && value >= 0)
+}
+
+function invalidHashes (name, hashes, max) {
+  if (!Array.isArray(hashes)) return util.format('%s must be an array of block hashes', name)
+  if (hashes.length > max) return util.format('%s may not hold more than %s block hashes', name, max)
+  for (var i = 0; i < hashes.length; i++) {
+    if (typeof hashes[i] !== 'string' || !/^[0-9a-fA-F]{64}$/.test(hashes[i])) return util.format('%s must be an array of block hashes', name)
+  }
+  return undefined
+}
+
+module.exports = Self
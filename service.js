@@ -1,9 +1,12 @@
 'use strict'
 
 const TurtleCoinAPI = require('./')
+const Config = require('./lib/config.js')
 const util = require('util')
 
-var server = new TurtleCoinAPI()
+var server = new TurtleCoinAPI(Object.assign(Config.fromProcess(), {
+  loadConfig: Config.reloadFromProcess
+}))
 
 function log (message) {
   console.log(util.format('%s: %s', (new Date()).toUTCString(), message))
@@ -21,4 +24,36 @@ server.on('info', (info) => {
   log(info)
 })
 
-server.start()
+server.on('reloaded', (diff) => {
+  log(util.format('Reloaded the configuration, changed: %s', (diff.changed.length !== 0) ? diff.changed.join(', ') : 'nothing'))
+  if (diff.restartRequired.length !== 0) log(util.format('A restart is required to apply: %s', diff.restartRequired.join(', ')))
+})
+
+server.on('stop', () => {
+  log('Server has stopped')
+})
+
+server.start().catch((err) => {
+  log(util.format('Could not start the server: %s', err))
+  process.exit(1)
+})
+
+// Let the requests in flight finish before we exit when PM2 or the terminal asks us to stop
+function shutdown () {
+  server.stop().then(() => {
+    process.exit(0)
+  }).catch((err) => {
+    log(err)
+    process.exit(1)
+  })
+}
+
+process.on('SIGINT', shutdown)
+process.on('SIGTERM', shutdown)
+
+// Re-reads the configuration and swaps the seeds, pools, TTLs and policies without dropping connections
+process.on('SIGHUP', () => {
+  server.reload().catch((err) => {
+    log(util.format('Could not reload the configuration: %s', err.message || err))
+  })
+})
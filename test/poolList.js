@@ -0,0 +1,83 @@
+// Copyright (c) 2018, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const PoolAdapters = require('../lib/poolAdapters.js')
+const PoolList = require('../lib/poolList.js')
+
+/*
+  Loads pool lists in the format of the official TurtleCoin pools list,
+  an object keyed by pool name, and checks that every pool in them can be
+  fetched with the adapters that we have
+*/
+
+const official = {
+  'Turtle Pool': { url: 'https://turtlepool.example.com:8117/', type: 'forknote' },
+  'Shell Pool': { url: 'https://api.shellpool.example.com', type: 'node.js', mining_address: 'TRTLv1...' },
+  'Trusted Pool': { url: 'http://trusted.example.com/api', type: 'nodejs-pool', trust: 2 },
+  'Broken Pool': { type: 'forknote' }
+}
+
+// What a cryptonote-nodejs-pool answers on /stats, trimmed down to what the adapter looks at
+const stats = {
+  config: { coin: 'turtlecoin' },
+  network: { height: 1000, difficulty: 3000000 },
+  pool: { hashrate: 100000, miners: 10, workers: 12, lastBlockFound: '1546300800000' }
+}
+
+const tests = [
+  ['the official format is turned into our own', () => {
+    var result = PoolList.validate(official)
+    assert.deepStrictEqual(result.pools, [
+      { name: 'Turtle Pool', url: 'https://turtlepool.example.com:8117/stats' },
+      { name: 'Shell Pool', url: 'https://api.shellpool.example.com/stats' },
+      { name: 'Trusted Pool', url: 'http://trusted.example.com/api/stats', trust: 2 }
+    ])
+    assert.strictEqual(result.rejected.length, 1)
+    assert.ok(/^Broken Pool /.test(result.rejected[0]), result.rejected[0])
+  }],
+
+  ['every pool of an official list loaded from a file finds an adapter', () => {
+    var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pool-list-'))
+    var file = path.join(directory, 'turtlecoin-pools.json')
+    fs.writeFileSync(file, JSON.stringify(official))
+    var list = new PoolList({ source: 'file', file: file })
+    list.on('info', () => {})
+    var adapters = new PoolAdapters()
+
+    return list.refresh().then((pools) => {
+      assert.strictEqual(pools.length, 3)
+      pools.forEach((pool) => {
+        var adapter = (pool.type) ? adapters.get(pool.type) : adapters.detect(stats)
+        assert.strictEqual(adapter.name, 'cryptonote-nodejs-pool', pool.name)
+      })
+    }).then(() => {
+      fs.unlinkSync(file)
+      fs.rmdirSync(directory)
+    })
+  }],
+
+  ['a type in our own format still names the adapter', () => {
+    var result = PoolList.validate([{ name: 'Pool', url: 'https://pool.example.com/api/stats', type: 'nodejs-pool' }])
+    assert.deepStrictEqual(result.pools, [{ name: 'Pool', url: 'https://pool.example.com/api/stats', type: 'nodejs-pool' }])
+  }]
+]
+
+var failed = 0
+
+tests.reduce((previous, test) => {
+  return previous.then(() => test[1]()).then(() => {
+    console.log('ok - poolList %s', test[0])
+  }).catch((err) => {
+    failed++
+    console.log('not ok - poolList %s\n  %s', test[0], err.stack || err)
+  })
+}, Promise.resolve()).then(() => {
+  process.exit((failed === 0) ? 0 : 1)
+})
@@ -0,0 +1,259 @@
+// Copyright (c) 2018, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const assert = require('assert')
+const net = require('net')
+const util = require('util')
+const RedisCache = require('../lib/redisCache.js')
+
+/*
+  Runs the Redis cache adapter against a stand-in server that keeps its
+  data in memory. The stand-in answers every batch of commands that
+  arrives together in one write, so that the adapter has to take several
+  replies out of one buffer, can split its replies so that they arrive a
+  few bytes at a time, and can stop answering altogether
+*/
+
+function StandIn () {
+  this.data = {}
+  this.split = false
+  this.silent = false
+  this.server = net.createServer((socket) => {
+    var buffer = Buffer.alloc(0)
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data])
+      var replies = []
+      var command
+      while ((command = parseCommand(buffer))) {
+        buffer = buffer.slice(command.offset)
+        replies.push(this.execute(command.args))
+      }
+      if (this.silent || replies.length === 0) return
+      this.reply(socket, Buffer.from(replies.join('')))
+    })
+    socket.on('error', () => {})
+  })
+}
+
+StandIn.prototype.listen = function () {
+  return new Promise((resolve, reject) => {
+    this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port))
+  })
+}
+
+StandIn.prototype.close = function () {
+  return new Promise((resolve, reject) => this.server.close(() => resolve()))
+}
+
+StandIn.prototype.reply = function (socket, reply) {
+  if (!this.split) return socket.write(reply)
+  // Three bytes at a time, far enough apart that they are not put back together on the way
+  var offset = 0
+  const next = () => {
+    if (offset >= reply.length || socket.destroyed) return
+    socket.write(reply.slice(offset, offset + 3))
+    offset += 3
+    setTimeout(next, 2)
+  }
+  next()
+}
+
+StandIn.prototype.get = function (key) {
+  var entry = this.data[key]
+  if (entry && entry.expires && entry.expires <= Date.now()) {
+    delete this.data[key]
+    entry = undefined
+  }
+  return entry
+}
+
+StandIn.prototype.execute = function (args) {
+  var name = args[0].toUpperCase()
+  var key = args[1]
+  var entry = this.get(key)
+
+  switch (name) {
+    case 'GET':
+      return bulk((entry) ? entry.value : null)
+    case 'SET':
+      var options = args.slice(3).map((arg) => arg.toUpperCase())
+      if (options.indexOf('NX') !== -1 && entry) return bulk(null)
+      var px = options.indexOf('PX')
+      var ex = options.indexOf('EX')
+      var expires = (px !== -1) ? Date.now() + parseInt(args[3 + px + 1]) : (ex !== -1) ? Date.now() + parseInt(args[3 + ex + 1]) * 1000 : 0
+      this.data[key] = { value: args[2], expires: expires }
+      return '+OK\r\n'
+    case 'DEL':
+      delete this.data[key]
+      return util.format(':%s\r\n', (entry) ? 1 : 0)
+    case 'INCRBY':
+      if (!entry) entry = this.data[key] = { value: '0', expires: 0 }
+      entry.value = (parseInt(entry.value) + parseInt(args[2])).toString()
+      return util.format(':%s\r\n', entry.value)
+    case 'EVAL':
+      // Only the lock renewal script is understood: GET KEYS[1] == ARGV[1] and PEXPIRE KEYS[1] ARGV[2]
+      if (args[1].indexOf('PEXPIRE') === -1 || args[2] !== '1') return '-ERR unknown script\r\n'
+      var locked = this.get(args[3])
+      if (!locked || locked.value !== args[4]) return ':0\r\n'
+      locked.expires = Date.now() + parseInt(args[5])
+      return ':1\r\n'
+    default:
+      return util.format('-ERR unknown command \'%s\'\r\n', name)
+  }
+}
+
+/*
+  Helper functions
+*/
+
+function bulk (value) {
+  if (value === null) return '$-1\r\n'
+  return util.format('$%s\r\n%s\r\n', Buffer.byteLength(value), value)
+}
+
+// Returns { args, offset } for a complete array of bulk strings or undefined if we need more data
+
+function parseCommand (buffer) {
+  var end = buffer.indexOf('\r\n')
+  if (end === -1) return undefined
+  var count = parseInt(buffer.toString('utf8', 1, end))
+  var next = end + 2
+  var args = []
+  for (var i = 0; i < count; i++) {
+    end = buffer.indexOf('\r\n', next)
+    if (end === -1) return undefined
+    var length = parseInt(buffer.toString('utf8', next + 1, end))
+    next = end + 2
+    if (buffer.length < next + length + 2) return undefined
+    args.push(buffer.toString('utf8', next, next + length))
+    next += length + 2
+  }
+  return { args: args, offset: next }
+}
+
+function wait (ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+/*
+  The tests, run one after the other against the same stand-in
+*/
+
+const tests = [
+  ['replies that arrive a few bytes at a time', (cache, standIn) => {
+    standIn.split = true
+    var value = { text: 'turtles all the way down €', list: [1, 2, 3] }
+    return cache.set('split', value, 30).then(() => cache.get('split')).then((result) => {
+      assert.deepStrictEqual(result, value)
+      return cache.get('missing')
+    }).then((result) => {
+      assert.strictEqual(result, undefined)
+    })
+  }],
+
+  ['several replies in one buffer', (cache, standIn) => {
+    var keys = ['a', 'b', 'c', 'd', 'e']
+    return Promise.all(keys.map((key) => cache.set(key, key.repeat(3), 30))).then(() => {
+      return Promise.all(keys.concat('missing').map((key) => cache.get(key)))
+    }).then((results) => {
+      assert.deepStrictEqual(results, ['aaa', 'bbb', 'ccc', 'ddd', 'eee', undefined])
+    })
+  }],
+
+  ['errors are matched to their command', (cache, standIn) => {
+    return Promise.all([
+      cache.get('a'),
+      cache._command(['NOSUCHCOMMAND']).then(() => 'resolved', (err) => err.message),
+      cache.get('b')
+    ]).then((results) => {
+      assert.deepStrictEqual(results, ['aaa', 'ERR unknown command \'NOSUCHCOMMAND\'', 'bbb'])
+    })
+  }],
+
+  ['incr counts and expires from when the count was created', (cache, standIn) => {
+    return cache.incr('count', 0.2).then((count) => {
+      assert.strictEqual(count, 1)
+      var created = standIn.get(cache.prefix + 'count')
+      assert.ok(created.expires > Date.now(), 'the count has an expiry')
+      return cache.incr('count', 0.2, 5).then((count) => {
+        assert.strictEqual(count, 6)
+        assert.strictEqual(standIn.get(cache.prefix + 'count').expires, created.expires, 'adding to the count does not extend it')
+      })
+    }).then(() => wait(250)).then(() => cache.incr('count', 0.2, 2)).then((count) => {
+      assert.strictEqual(count, 2)
+    })
+  }],
+
+  ['incr never leaves a count without an expiry', (cache, standIn) => {
+    return Promise.all([1, 2, 3, 4].map(() => cache.incr('concurrent', 30))).then((counts) => {
+      assert.deepStrictEqual(counts.sort(), [1, 2, 3, 4])
+      assert.ok(standIn.get(cache.prefix + 'concurrent').expires > Date.now())
+    })
+  }],
+
+  ['lock is held by one owner at a time and renewed by its holder', (cache, standIn) => {
+    var key = cache.prefix + 'lock:updater'
+    return cache.lock('updater', 'one', 0.2).then((held) => {
+      assert.strictEqual(held, true)
+      return cache.lock('updater', 'two', 0.2)
+    }).then((held) => {
+      assert.strictEqual(held, false)
+      var expires = standIn.get(key).expires
+      return wait(50).then(() => cache.lock('updater', 'one', 0.2)).then((held) => {
+        assert.strictEqual(held, true)
+        assert.ok(standIn.get(key).expires > expires, 'the holder extends the lock')
+        assert.strictEqual(standIn.get(key).value, 'one')
+      })
+    }).then(() => wait(250)).then(() => cache.lock('updater', 'two', 0.2)).then((held) => {
+      assert.strictEqual(held, true)
+      return cache.lock('updater', 'one', 0.2)
+    }).then((held) => {
+      assert.strictEqual(held, false, 'a lock that expired is not renewed by its old holder')
+      assert.strictEqual(standIn.get(key).value, 'two')
+    })
+  }],
+
+  ['a command that is not answered times out and the connection is reset', (cache, standIn) => {
+    standIn.silent = true
+    var start = Date.now()
+    return cache.get('a').then(() => {
+      throw new Error('resolved without an answer')
+    }, (err) => {
+      assert.ok(/Timed out waiting for GET/.test(err.message), err.message)
+      assert.ok(Date.now() - start >= cache.timeout - 10)
+      standIn.silent = false
+      return wait(20)
+    }).then(() => cache.get('b')).then((result) => {
+      assert.strictEqual(result, 'bbb')
+    })
+  }]
+]
+
+const standIn = new StandIn()
+var failed = 0
+
+standIn.listen().then((port) => {
+  var cache = new RedisCache({ port: port, timeout: 300 })
+  cache.on('error', () => {})
+
+  return tests.reduce((previous, test) => {
+    return previous.then(() => {
+      standIn.split = false
+      standIn.silent = false
+      return test[1](cache, standIn)
+    }).then(() => {
+      console.log('ok - redisCache %s', test[0])
+    }).catch((err) => {
+      failed++
+      console.log('not ok - redisCache %s\n  %s', test[0], err.stack || err)
+    })
+  }, Promise.resolve()).then(() => cache.close())
+}).then(() => standIn.close()).then(() => {
+  process.exit((failed === 0) ? 0 : 1)
+}).catch((err) => {
+  console.log(err)
+  process.exit(1)
+})